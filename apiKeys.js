@@ -0,0 +1,145 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const log = require('./logger');
+
+/**
+ * API key store
+ * - Keys are random tokens shown once at creation; only their SHA-256 hash is kept
+ * - Records live in a JSON file (API_KEYS_FILE) and are reloaded when the file changes
+ * - Manage keys from the command line:
+ *     node apiKeys.js create <tier> [label] [--admin]
+ *     node apiKeys.js list
+ *     node apiKeys.js revoke <id>
+ */
+
+const API_KEYS_FILE = process.env.API_KEYS_FILE || path.join(__dirname, 'data', 'api-keys.json');
+const KEY_PREFIX = 'vcs_';
+
+let records = [];
+let byHash = new Map();
+let loadedMtimeMs = null;
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+// (Re)read the key file when its mtime changed; a missing file means no keys
+function refresh() {
+  let mtimeMs = 0;
+  try {
+    mtimeMs = fs.statSync(API_KEYS_FILE).mtimeMs;
+  } catch {
+    mtimeMs = 0;
+  }
+  if (mtimeMs === loadedMtimeMs) return;
+
+  let next = [];
+  if (mtimeMs) {
+    try {
+      next = JSON.parse(fs.readFileSync(API_KEYS_FILE, 'utf8')).keys || [];
+    } catch (e) {
+      // keep serving with the last good copy rather than locking every client out
+      log.error(`[ApiKeys] Failed to read ${API_KEYS_FILE}:`, e.message);
+      return;
+    }
+  }
+  records = next;
+  byHash = new Map(records.map(r => [r.hash, r]));
+  loadedMtimeMs = mtimeMs;
+}
+
+function save() {
+  fs.mkdirSync(path.dirname(API_KEYS_FILE), { recursive: true });
+  const tmpPath = `${API_KEYS_FILE}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify({ keys: records }, null, 2), { mode: 0o600 });
+  fs.renameSync(tmpPath, API_KEYS_FILE);
+  loadedMtimeMs = null;
+}
+
+/**
+ * Look up the record for a presented key
+ * @returns {object|null} { id, tier, label, createdAt, revokedAt }
+ */
+function findApiKey(key) {
+  if (!key) return null;
+  refresh();
+  return byHash.get(hashApiKey(key)) || null;
+}
+
+/**
+ * Create a key for a tier
+ * @returns {{ key: string, record: object }} the plain key is only available here
+ */
+function createApiKey(tier, label = null, options = {}) {
+  refresh();
+  const key = KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+  const record = {
+    id: crypto.randomBytes(6).toString('hex'),
+    hash: hashApiKey(key),
+    prefix: key.slice(0, KEY_PREFIX.length + 4),
+    tier,
+    label,
+    admin: !!options.admin,
+    createdAt: new Date().toISOString(),
+    revokedAt: null
+  };
+  records.push(record);
+  save();
+  return { key, record };
+}
+
+function revokeApiKey(id) {
+  refresh();
+  const record = records.find(r => r.id === id);
+  if (!record) return null;
+  if (!record.revokedAt) {
+    record.revokedAt = new Date().toISOString();
+    save();
+  }
+  return record;
+}
+
+// Records without hashes, for listings
+function listApiKeys() {
+  refresh();
+  return records.map(({ hash, ...rest }) => rest);
+}
+
+module.exports = {
+  hashApiKey,
+  findApiKey,
+  createApiKey,
+  revokeApiKey,
+  listApiKeys
+};
+
+if (require.main === module) {
+  const argv = process.argv.slice(2);
+  const admin = argv.includes('--admin');
+  const [command, ...args] = argv.filter(a => a !== '--admin');
+  if (command === 'create' && args[0]) {
+    const { getTier } = require('./tiers');
+    if (!getTier(args[0])) {
+      console.error(`Unknown tier: ${args[0]}`);
+      process.exit(1);
+    }
+    const { key, record } = createApiKey(args[0], args.slice(1).join(' ') || null, { admin });
+    console.log(`Created ${admin ? 'admin ' : ''}key ${record.id} (${record.tier}). Store it now, it cannot be shown again:`);
+    console.log(key);
+  } else if (command === 'list') {
+    for (const r of listApiKeys()) {
+      console.log(`${r.id}  ${r.prefix}…  ${r.tier}${r.admin ? ' (admin)' : ''}  ${r.revokedAt ? `revoked ${r.revokedAt}` : 'active'}  ${r.label || ''}`);
+    }
+  } else if (command === 'revoke' && args[0]) {
+    const record = revokeApiKey(args[0]);
+    if (!record) {
+      console.error(`No key with id ${args[0]}`);
+      process.exit(1);
+    }
+    console.log(`Revoked ${record.id}`);
+  } else {
+    console.error('Usage: node apiKeys.js create <tier> [label] [--admin] | list | revoke <id>');
+    process.exit(1);
+  }
+}
@@ -0,0 +1,212 @@
+const fs = require('fs');
+const { spawn } = require('child_process');
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const log = require('./logger');
+const { checkTarget, httpAgent, httpsAgent } = require('./directDownload');
+
+/**
+ * Audio tagging helpers
+ * - Builds tags (title, artist, date, source comment) from yt-dlp info JSON
+ * - Client overrides win over probed values
+ * - Writes tags + cover art with a fast ffmpeg remux (no re-encode)
+ */
+
+const TAG_FIELDS = ['title', 'artist', 'album', 'album_artist', 'date', 'genre', 'track', 'comment'];
+const MAX_TAG_LENGTH = 500;
+const MAX_COVER_BYTES = 5 * 1024 * 1024;
+const MAX_COVER_REDIRECTS = 3;
+
+// Per-format remux settings; formats without `cover` get tags only
+const TAG_CONTAINERS = {
+  mp3: { muxer: 'mp3', args: ['-id3v2_version', '4', '-write_xing', '0'], cover: true },
+  m4a: { muxer: 'ipod', args: ['-movflags', '+faststart'], cover: true },
+  flac: { muxer: 'flac', args: [], cover: true },
+  opus: { muxer: 'ogg', args: [], cover: false },
+  ogg: { muxer: 'ogg', args: [], cover: false },
+  wav: { muxer: 'wav', args: [], cover: false }
+};
+
+/**
+ * Validate client tag overrides (JSON object, or JSON string from multipart forms)
+ * @returns {{ tags: object|null, error: string|null }}
+ */
+function parseTagOverrides(input) {
+  if (input === undefined || input === null || input === '') return { tags: null, error: null };
+  let obj = input;
+  if (typeof input === 'string') {
+    try {
+      obj = JSON.parse(input);
+    } catch {
+      return { tags: null, error: 'tags must be a JSON object' };
+    }
+  }
+  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) {
+    return { tags: null, error: 'tags must be a JSON object' };
+  }
+
+  const tags = {};
+  for (const key of Object.keys(obj)) {
+    if (!TAG_FIELDS.includes(key)) return { tags: null, error: `Unsupported tag: ${key}` };
+    const value = String(obj[key]).trim();
+    if (value.length > MAX_TAG_LENGTH) return { tags: null, error: `Tag ${key} is too long` };
+    if (value) tags[key] = value;
+  }
+  return { tags: Object.keys(tags).length ? tags : null, error: null };
+}
+
+// yt-dlp upload_date is YYYYMMDD
+function formatUploadDate(uploadDate) {
+  const m = /^(\d{4})(\d{2})(\d{2})$/.exec(String(uploadDate || ''));
+  return m ? `${m[1]}-${m[2]}-${m[3]}` : null;
+}
+
+/**
+ * Merge probed info and client overrides into the tag set written to the file
+ * @param {object|null} info - yt-dlp --dump-json output
+ * @param {object|null} overrides - from parseTagOverrides
+ * @param {string} [sourceUrl]
+ */
+function buildTags(info, overrides, sourceUrl) {
+  const tags = {};
+  if (info) {
+    if (info.title) tags.title = String(info.title);
+    const artist = info.artist || info.uploader || info.channel || info.creator;
+    if (artist) tags.artist = String(artist);
+    const date = formatUploadDate(info.upload_date);
+    if (date) tags.date = date;
+  }
+  const url = (info && info.webpage_url) || sourceUrl;
+  if (url) tags.comment = `Source: ${url}`;
+  return { ...tags, ...(overrides || {}) };
+}
+
+/**
+ * Turn a title into a safe download filename (without extension)
+ */
+function sanitizeFilename(title, fallback = 'audio') {
+  const cleaned = String(title || '')
+    .normalize('NFKC')
+    .replace(/[\u0000-\u001f\u007f]/g, '')
+    .replace(/[\\/:*?"<>|]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^\.+/, '')
+    .slice(0, 120)
+    .trim();
+  return cleaned || fallback;
+}
+
+// Download a thumbnail to a temp file; returns its path or null (cover art is best effort).
+// The URL comes from the remote site, so it gets the same address checks as direct downloads:
+// the guarded agents check every connection, redirects are followed here and checked hop by hop.
+async function fetchCoverArt(url, outputDir = '/tmp') {
+  if (!url) return null;
+  const coverPath = `${outputDir}/cover_${uuidv4()}.img`;
+  try {
+    let target = new URL(url);
+    let response;
+    for (let hop = 0; ; hop++) {
+      await checkTarget(target, { resolveHost: false });
+      response = await axios({
+        method: 'GET',
+        url: target.href,
+        responseType: 'arraybuffer',
+        timeout: 15000,
+        maxRedirects: 0,
+        maxContentLength: MAX_COVER_BYTES,
+        validateStatus: status => status >= 200 && status < 400,
+        httpAgent,
+        httpsAgent
+      });
+      if (response.status < 300) break;
+      const location = response.headers.location;
+      if (!location) throw new Error(`HTTP ${response.status} without a Location`);
+      if (hop >= MAX_COVER_REDIRECTS) throw new Error('Too many redirects');
+      target = new URL(location, target);
+    }
+    fs.writeFileSync(coverPath, Buffer.from(response.data));
+    return coverPath;
+  } catch (e) {
+    log.warn('Cover art download failed (continuing without):', e.message);
+    return null;
+  }
+}
+
+/**
+ * Rewrite `filePath` in place with tags (and cover art when the container supports it)
+ * @param {string} filePath
+ * @param {string} format - key from formats.js
+ * @param {object} tags
+ * @param {string|null} coverPath - image file, converted to JPEG on the fly
+ */
+function writeAudioTags(filePath, format, tags, coverPath = null) {
+  return new Promise((resolve, reject) => {
+    const container = TAG_CONTAINERS[format];
+    if (!container) return resolve(false);
+
+    const useCover = !!(coverPath && container.cover);
+    const tmpPath = `${filePath}.tagging`;
+    const args = ['-hide_banner', '-loglevel', 'error', '-i', filePath];
+    if (useCover) args.push('-i', coverPath);
+    args.push('-map', '0:a', '-map_metadata', '-1');
+    if (useCover) {
+      args.push(
+        '-map', '1:v:0',
+        '-c:v', 'mjpeg',
+        '-disposition:v:0', 'attached_pic',
+        '-metadata:s:v', 'title=Album cover',
+        '-metadata:s:v', 'comment=Cover (front)'
+      );
+    }
+    args.push('-c:a', 'copy', ...container.args);
+    for (const key of Object.keys(tags || {})) {
+      args.push('-metadata', `${key}=${tags[key]}`);
+    }
+    args.push('-f', container.muxer, '-y', tmpPath);
+
+    const ffmpeg = spawn('ffmpeg', args);
+    let stderr = '';
+    ffmpeg.stderr.on('data', (d) => { stderr += d.toString(); });
+    ffmpeg.on('error', reject);
+    ffmpeg.on('close', (code) => {
+      if (code !== 0) {
+        try { fs.unlinkSync(tmpPath); } catch (e) { /* ignore */ }
+        return reject(new Error(`Tagging failed: ${stderr}`));
+      }
+      fs.renameSync(tmpPath, filePath);
+      resolve(true);
+    });
+  });
+}
+
+// Read the title tag back from a file (used to name cached results), null if absent.
+// Ogg containers keep tags on the stream rather than the format, so check both.
+function readTitleTag(filePath) {
+  return new Promise((resolve) => {
+    const proc = spawn('ffprobe', [
+      '-v', 'error',
+      '-show_entries', 'format_tags=title:stream_tags=title',
+      '-of', 'default=noprint_wrappers=1:nokey=1',
+      filePath
+    ]);
+    let out = '';
+    proc.stdout.on('data', (d) => { out += d.toString(); });
+    proc.on('error', () => resolve(null));
+    proc.on('close', (code) => {
+      const title = out.split('\n').map(l => l.trim()).find(Boolean);
+      resolve(code === 0 && title ? title : null);
+    });
+  });
+}
+
+module.exports = {
+  TAG_FIELDS,
+  parseTagOverrides,
+  buildTags,
+  formatUploadDate,
+  sanitizeFilename,
+  fetchCoverArt,
+  writeAudioTags,
+  readTitleTag
+};
@@ -0,0 +1,80 @@
+const { findApiKey } = require('./apiKeys');
+const { getTier, getAnonymousTier } = require('./tiers');
+const log = require('./logger');
+
+/**
+ * API key authentication
+ * - Key from `Authorization: Bearer <key>` or `X-API-Key`
+ * - Without a key the anonymous tier applies, unless REQUIRE_API_KEY=true
+ * - Sets req.client = { id, keyId, label, tier, admin } for the rest of the request;
+ *   `id` identifies the caller for rate limits (the key, or the IP for anonymous requests)
+ */
+
+const REQUIRE_API_KEY = process.env.REQUIRE_API_KEY === 'true';
+
+function presentedKey(req) {
+  const header = req.headers.authorization || '';
+  const m = /^Bearer\s+(\S+)$/i.exec(header);
+  if (m) return m[1];
+  return req.headers['x-api-key'] || null;
+}
+
+/**
+ * Resolve the caller of a request
+ * @returns {{ client: object|null, error: {status, body}|null }}
+ */
+function resolveClient(req) {
+  const key = presentedKey(req);
+  if (!key) {
+    if (REQUIRE_API_KEY) {
+      return { client: null, error: { status: 401, body: { error: 'An API key is required', errorCode: 'API_KEY_REQUIRED' } } };
+    }
+    return { client: { id: `ip:${req.ip}`, keyId: null, label: null, tier: getAnonymousTier(), admin: false }, error: null };
+  }
+
+  const record = findApiKey(key);
+  if (!record) {
+    return { client: null, error: { status: 401, body: { error: 'Invalid API key', errorCode: 'API_KEY_INVALID' } } };
+  }
+  if (record.revokedAt) {
+    return { client: null, error: { status: 403, body: { error: 'This API key has been revoked', errorCode: 'API_KEY_REVOKED' } } };
+  }
+  const tier = getTier(record.tier);
+  if (!tier) {
+    log.error(`[Auth] Key ${record.id} references unknown tier "${record.tier}"`);
+    return { client: null, error: { status: 403, body: { error: 'This API key has no valid tier', errorCode: 'TIER_UNKNOWN' } } };
+  }
+  return { client: { id: `key:${record.id}`, keyId: record.id, label: record.label, tier, admin: !!record.admin }, error: null };
+}
+
+// Express middleware; paths in `publicPaths` skip authentication
+function authenticate(publicPaths = []) {
+  return (req, res, next) => {
+    if (publicPaths.includes(req.path)) return next();
+    const { client, error } = resolveClient(req);
+    if (error) {
+      if (error.status === 401) res.set('WWW-Authenticate', 'Bearer');
+      return res.status(error.status).json(error.body);
+    }
+    req.client = client;
+    next();
+  };
+}
+
+// Express middleware for admin-only routes (keys created with --admin); runs after authenticate
+function requireAdmin(req, res, next) {
+  if (!req.client || !req.client.keyId) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error: 'An admin API key is required', errorCode: 'API_KEY_REQUIRED' });
+  }
+  if (!req.client.admin) {
+    return res.status(403).json({ error: 'This API key is not allowed to use admin endpoints', errorCode: 'ADMIN_REQUIRED' });
+  }
+  next();
+}
+
+module.exports = {
+  resolveClient,
+  authenticate,
+  requireAdmin
+};
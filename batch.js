@@ -0,0 +1,129 @@
+const fs = require('fs');
+const archiver = require('archiver');
+const log = require('./logger');
+
+/**
+ * Playlist / channel batch helpers
+ * - Expands a playlist into entry URLs with yt-dlp --flat-playlist (no media download)
+ * - Packs converted items into a ZIP together with an M3U playlist
+ */
+
+const BATCH_MAX_ITEMS = Number(process.env.BATCH_MAX_ITEMS || 50);
+const BATCH_DEFAULT_ITEMS = Number(process.env.BATCH_DEFAULT_ITEMS || 25);
+
+/**
+ * Validate batch range params
+ * @param {object} params - { playlistStart, playlistEnd, maxItems }
+ * @returns {{ range: {start: number, end: number}|null, error: string|null }}
+ */
+function resolveBatchRange(params = {}) {
+  const toInt = (v) => (v === undefined || v === null || v === '' ? null : Number(v));
+  const start = toInt(params.playlistStart);
+  const end = toInt(params.playlistEnd);
+  const maxItems = toInt(params.maxItems);
+
+  for (const [name, value] of [['playlistStart', start], ['playlistEnd', end], ['maxItems', maxItems]]) {
+    if (value !== null && (!Number.isInteger(value) || value < 1)) {
+      return { range: null, error: `${name} must be a positive integer` };
+    }
+  }
+  if (maxItems !== null && maxItems > BATCH_MAX_ITEMS) {
+    return { range: null, error: `maxItems cannot exceed ${BATCH_MAX_ITEMS}` };
+  }
+
+  const first = start || 1;
+  const limit = maxItems || BATCH_DEFAULT_ITEMS;
+  const last = Math.min(end !== null ? end : Infinity, first + Math.min(limit, BATCH_MAX_ITEMS) - 1);
+  if (last < first) return { range: null, error: 'playlistEnd must not be before playlistStart' };
+  return { range: { start: first, end: last }, error: null };
+}
+
+// Flat playlist entries only carry an id for some extractors
+function entryUrl(entry) {
+  if (!entry) return null;
+  if (entry.url && /^https?:\/\//i.test(entry.url)) return entry.url;
+  if (entry.webpage_url) return entry.webpage_url;
+  if (entry.id && (!entry.ie_key || entry.ie_key === 'Youtube')) return `https://www.youtube.com/watch?v=${entry.id}`;
+  return null;
+}
+
+/**
+ * List the entries of a playlist/channel URL
+ * @param {string} url
+ * @param {{start: number, end: number}} range - 1-based inclusive item indexes
+ * @param {function} runYtDlp - (args) => Promise<{ stdout }>
+ * @param {string[]} [extraArgs] - cookies/proxy forwarded to yt-dlp
+ * @returns {Promise<{ title: string|null, entries: Array<{index, url, title, duration}> }>}
+ */
+async function expandPlaylist(url, range, runYtDlp, extraArgs = []) {
+  const { stdout } = await runYtDlp([
+    '--flat-playlist',
+    '--dump-single-json',
+    '--no-warnings',
+    '--playlist-items', `${range.start}-${range.end}`,
+    url,
+    ...extraArgs
+  ]);
+
+  const info = JSON.parse(stdout);
+  // a plain video URL comes back as a single entry
+  const rawEntries = info._type === 'playlist' ? (info.entries || []) : [info];
+
+  const entries = [];
+  rawEntries.forEach((entry, i) => {
+    const u = entryUrl(entry);
+    if (!u) return;
+    entries.push({
+      index: range.start + i,
+      url: u,
+      title: entry.title || null,
+      duration: Number(entry.duration) || null
+    });
+  });
+
+  return { title: info._type === 'playlist' ? (info.title || null) : null, entries };
+}
+
+/**
+ * Extended M3U for the converted items (relative file names inside the ZIP)
+ */
+function buildM3u(items) {
+  const lines = ['#EXTM3U'];
+  for (const item of items) {
+    const duration = item.duration ? Math.round(item.duration) : -1;
+    lines.push(`#EXTINF:${duration},${(item.title || item.filename).replace(/[\r\n]+/g, ' ')}`);
+    lines.push(item.filename);
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Write a ZIP with the given files (stored, audio doesn't compress) plus in-memory entries
+ * @param {string} zipPath
+ * @param {Array<{path: string, name: string}>} files
+ * @param {Array<{name: string, content: string}>} [extras]
+ */
+function createZip(zipPath, files, extras = []) {
+  return new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(zipPath);
+    const archive = archiver('zip', { store: true });
+
+    output.on('close', () => resolve(archive.pointer()));
+    output.on('error', reject);
+    archive.on('error', reject);
+    archive.on('warning', (err) => log.warn('[Batch] ZIP warning:', err.message));
+
+    archive.pipe(output);
+    for (const f of files) archive.file(f.path, { name: f.name });
+    for (const e of extras) archive.append(e.content, { name: e.name });
+    archive.finalize();
+  });
+}
+
+module.exports = {
+  BATCH_MAX_ITEMS,
+  resolveBatchRange,
+  expandPlaylist,
+  buildM3u,
+  createZip
+};
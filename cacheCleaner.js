@@ -1,91 +1,268 @@
 const fs = require('fs');
 const path = require('path');
+const log = require('./logger');
 
 /**
  * Optimized cache cleaner for video conversion cache
- * - Removes files older than specified days
- * - Runs on a scheduled interval
- * - Non-blocking, efficient file operations
+ * - Removes files not used for the specified number of days
+ * - Keeps the cache under a size budget by evicting least recently used files first
+ * - Sweeps early when free disk space drops below a watermark
+ * - Async scanning (never blocks request handling), optional dry-run
+ *
+ * "Last used" is the later of mtime (written) and atime; cache hits bump atime explicitly
+ * through touchCacheFile so it works on noatime/relatime mounts too.
  */
 
-function cleanOldCacheFiles(cacheDir, maxAgeDays) {
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const sweepsInProgress = new Map(); // dryRun -> promise of the running sweep
+let lastSweep = null;
+
+// Record a cache hit so LRU eviction keeps hot files
+function touchCacheFile(filePath) {
+  const now = new Date();
+  fs.promises.stat(filePath)
+    .then(stats => fs.promises.utimes(filePath, now, stats.mtime))
+    .catch(err => log.warn(`[Cache Cleaner] Failed to touch ${path.basename(filePath)}:`, err.message));
+}
+
+async function listCacheFiles(cacheDir) {
+  // dot files are in-progress writes and index metadata, not cache entries
+  const names = (await fs.promises.readdir(cacheDir)).filter(name => !name.startsWith('.'));
+  const files = [];
+  let errors = 0;
+  let skipped = 0;
+  for (const name of names) {
+    const filePath = path.join(cacheDir, name);
+    try {
+      const stats = await fs.promises.stat(filePath);
+      // Skip directories
+      if (stats.isDirectory()) {
+        skipped++;
+        continue;
+      }
+      files.push({ name, filePath, size: stats.size, lastUsedMs: Math.max(stats.atimeMs, stats.mtimeMs) });
+    } catch (fileErr) {
+      errors++;
+      log.warn(`[Cache Cleaner] Error processing ${name}:`, fileErr.message);
+    }
+  }
+  return { files, errors, skipped };
+}
+
+// Free bytes on the volume holding cacheDir, null when the platform can't tell
+async function freeDiskBytes(cacheDir) {
+  if (typeof fs.promises.statfs !== 'function') return null;
+  try {
+    const s = await fs.promises.statfs(cacheDir);
+    return s.bavail * s.bsize;
+  } catch (err) {
+    log.warn('[Cache Cleaner] Failed to read free disk space:', err.message);
+    return null;
+  }
+}
+
+/**
+ * One cleaning pass
+ * @param {string} cacheDir
+ * @param {object} options
+ * @param {number} options.maxAgeDays - delete files unused for longer than this
+ * @param {number} [options.maxSizeBytes] - evict LRU files until the cache fits (0 = no budget)
+ * @param {number} [options.minFreeBytes] - evict LRU files until this much disk is free (0 = off)
+ * @param {boolean} [options.dryRun] - only log what would be deleted
+ * @param {function} [options.onDelete] - called with each deleted file path
+ * @returns {Promise<{deleted, freedBytes, errors, skipped, totalBytes}>}
+ */
+async function sweepCache(cacheDir, options) {
+  const { maxAgeDays, maxSizeBytes = 0, minFreeBytes = 0, dryRun = false, onDelete = null } = options;
   if (!fs.existsSync(cacheDir)) {
-    console.log(`Cache directory does not exist: ${cacheDir}`);
-    return { deleted: 0, errors: 0, skipped: 0 };
+    log.info(`Cache directory does not exist: ${cacheDir}`);
+    return { deleted: 0, freedBytes: 0, errors: 0, skipped: 0, totalBytes: 0 };
   }
 
   const now = Date.now();
-  const maxAgeMs = maxAgeDays * 24 * 60 * 60 * 1000;
+  const maxAgeMs = maxAgeDays * DAY_MS;
   let deleted = 0;
-  let errors = 0;
-  let skipped = 0;
+  let freedBytes = 0;
 
+  let listing;
   try {
-    const files = fs.readdirSync(cacheDir);
-    console.log(`[Cache Cleaner] Scanning ${files.length} files in ${cacheDir}`);
+    listing = await listCacheFiles(cacheDir);
+  } catch (err) {
+    log.error('[Cache Cleaner] Failed to scan cache directory:', err.message);
+    return { deleted: 0, freedBytes: 0, errors: 1, skipped: 0, totalBytes: 0 };
+  }
+  let { errors } = listing;
+  const { skipped } = listing;
+  // least recently used first
+  const files = listing.files.sort((a, b) => a.lastUsedMs - b.lastUsedMs);
+  let totalBytes = files.reduce((sum, f) => sum + f.size, 0);
+  log.info(`[Cache Cleaner] Scanning ${files.length} files in ${cacheDir} (${formatMb(totalBytes)})${dryRun ? ' [dry run]' : ''}`);
+
+  const remove = async (file, reason) => {
+    try {
+      if (!dryRun) {
+        await fs.promises.unlink(file.filePath);
+        if (onDelete) onDelete(file.filePath);
+      }
+      deleted++;
+      freedBytes += file.size;
+      totalBytes -= file.size;
+      file.removed = true;
+      log.info(`[Cache Cleaner] ${dryRun ? 'Would delete' : 'Deleted'}: ${file.name} (${reason})`);
+    } catch (fileErr) {
+      errors++;
+      log.warn(`[Cache Cleaner] Error deleting ${file.name}:`, fileErr.message);
+    }
+  };
+
+  // 1. age: unused for too long
+  for (const file of files) {
+    const idleMs = now - file.lastUsedMs;
+    if (idleMs > maxAgeMs) await remove(file, `unused for ${Math.floor(idleMs / DAY_MS)} days`);
+  }
 
+  // 2. size budget: evict LRU until we fit
+  if (maxSizeBytes > 0 && totalBytes > maxSizeBytes) {
     for (const file of files) {
-      const filePath = path.join(cacheDir, file);
-
-      try {
-        const stats = fs.statSync(filePath);
-
-        // Skip directories
-        if (stats.isDirectory()) {
-          skipped++;
-          continue;
-        }
-
-        // Check file age
-        const ageMs = now - stats.mtimeMs;
-        if (ageMs > maxAgeMs) {
-          fs.unlinkSync(filePath);
-          deleted++;
-          console.log(`[Cache Cleaner] Deleted: ${file} (${Math.floor(ageMs / (24 * 60 * 60 * 1000))} days old)`);
-        } else {
-          skipped++;
-        }
-      } catch (fileErr) {
-        errors++;
-        console.warn(`[Cache Cleaner] Error processing ${file}:`, fileErr.message);
+      if (totalBytes <= maxSizeBytes) break;
+      if (!file.removed) await remove(file, `over ${formatMb(maxSizeBytes)} budget`);
+    }
+  }
+
+  // 3. low disk: keep evicting LRU until the watermark is cleared
+  if (minFreeBytes > 0) {
+    const free = await freeDiskBytes(cacheDir);
+    if (free !== null && free < minFreeBytes) {
+      // in dry-run nothing is actually freed, so count what would have been
+      let needed = minFreeBytes - free;
+      for (const file of files) {
+        if (needed <= 0) break;
+        if (file.removed) continue;
+        await remove(file, `low disk (${formatMb(free)} free)`);
+        needed -= file.size;
       }
     }
+  }
 
-    console.log(`[Cache Cleaner] Summary: ${deleted} deleted, ${skipped} kept, ${errors} errors`);
-    return { deleted, errors, skipped };
-  } catch (err) {
-    console.error('[Cache Cleaner] Failed to scan cache directory:', err.message);
-    return { deleted: 0, errors: 1, skipped: 0 };
+  const kept = files.length - deleted;
+  log.info(`[Cache Cleaner] Summary: ${deleted} ${dryRun ? 'would be deleted' : 'deleted'} (${formatMb(freedBytes)}), ${kept + skipped} kept, ${errors} errors`);
+  return { deleted, freedBytes, errors, skipped: kept + skipped, totalBytes };
+}
+
+function formatMb(bytes) {
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// Age-only pass, kept for callers of the original API
+function cleanOldCacheFiles(cacheDir, maxAgeDays) {
+  return sweepCache(cacheDir, { maxAgeDays });
+}
+
+// Run a sweep unless one of the same kind (real or dry run) is already running, then share that one;
+// remembers the outcome for getLastSweep
+function runSweep(cacheDir, options, trigger) {
+  const dryRun = !!options.dryRun;
+  if (!sweepsInProgress.has(dryRun)) {
+    const startedAt = new Date().toISOString();
+    sweepsInProgress.set(dryRun, sweepCache(cacheDir, options)
+      .then(summary => {
+        lastSweep = { trigger, startedAt, finishedAt: new Date().toISOString(), dryRun, ...summary };
+        return lastSweep;
+      })
+      .catch(err => {
+        log.error('[Cache Cleaner] Sweep failed:', err.message);
+        lastSweep = { trigger, startedAt, finishedAt: new Date().toISOString(), dryRun, error: err.message };
+        return lastSweep;
+      })
+      .finally(() => { sweepsInProgress.delete(dryRun); }));
   }
+  return sweepsInProgress.get(dryRun);
+}
+
+// Summary of the most recent finished sweep (null before the first one)
+function getLastSweep() {
+  return lastSweep;
 }
 
 /**
  * Start the cache cleaner on a scheduled interval
  * @param {string} cacheDir - Path to cache directory
- * @param {number} maxAgeDays - Maximum age of cache files in days
+ * @param {number} maxAgeDays - Maximum days a cache file may go unused
  * @param {number} intervalHours - How often to run the cleaner in hours
+ * @param {object} [options]
+ * @param {number} [options.maxSizeMb] - cache size budget (0 = unlimited)
+ * @param {number} [options.minFreeMb] - low-disk watermark (0 = off)
+ * @param {number} [options.diskCheckSeconds] - how often the watermark is checked
+ * @param {boolean} [options.dryRun] - log deletions without deleting
+ * @param {function} [options.onDelete] - called with each deleted file path
  */
-function startCacheCleaner(cacheDir, maxAgeDays = 7, intervalHours = 24) {
-  console.log(`[Cache Cleaner] Starting with config:`);
-  console.log(`  - Cache directory: ${cacheDir}`);
-  console.log(`  - Max age: ${maxAgeDays} days`);
-  console.log(`  - Interval: ${intervalHours} hours`);
+function startCacheCleaner(cacheDir, maxAgeDays = 7, intervalHours = 24, options = {}) {
+  const sweepOptions = {
+    maxAgeDays,
+    maxSizeBytes: (options.maxSizeMb || 0) * 1024 * 1024,
+    minFreeBytes: (options.minFreeMb || 0) * 1024 * 1024,
+    dryRun: !!options.dryRun,
+    onDelete: options.onDelete || null
+  };
+  const diskCheckSeconds = options.diskCheckSeconds || 60;
+
+  log.info(`[Cache Cleaner] Starting with config:`);
+  log.info(`  - Cache directory: ${cacheDir}`);
+  log.info(`  - Max age: ${maxAgeDays} days`);
+  log.info(`  - Size budget: ${options.maxSizeMb ? `${options.maxSizeMb} MB` : 'unlimited'}`);
+  log.info(`  - Low-disk watermark: ${options.minFreeMb ? `${options.minFreeMb} MB free` : 'off'}`);
+  log.info(`  - Interval: ${intervalHours} hours${sweepOptions.dryRun ? ' (dry run)' : ''}`);
 
   // Run immediately on startup
-  console.log('[Cache Cleaner] Running initial cleanup...');
-  cleanOldCacheFiles(cacheDir, maxAgeDays);
+  log.info('[Cache Cleaner] Running initial cleanup...');
+  runSweep(cacheDir, sweepOptions, 'startup');
 
   // Schedule periodic cleanup
   const intervalMs = intervalHours * 60 * 60 * 1000;
-  setInterval(() => {
-    console.log('[Cache Cleaner] Running scheduled cleanup...');
-    cleanOldCacheFiles(cacheDir, maxAgeDays);
+  const timer = setInterval(() => {
+    log.info('[Cache Cleaner] Running scheduled cleanup...');
+    runSweep(cacheDir, sweepOptions, 'schedule');
   }, intervalMs);
+  if (timer.unref) timer.unref();
+
+  // Cheap checks between sweeps: over budget or low on disk -> sweep now
+  const checkNow = async () => {
+    if (sweepsInProgress.has(sweepOptions.dryRun)) return;
+    const free = sweepOptions.minFreeBytes ? await freeDiskBytes(cacheDir) : null;
+    if (free !== null && free < sweepOptions.minFreeBytes) {
+      log.warn(`[Cache Cleaner] Low disk space (${formatMb(free)} free), sweeping now`);
+      return runSweep(cacheDir, sweepOptions, 'low-disk');
+    }
+    if (sweepOptions.maxSizeBytes) {
+      const { files } = await listCacheFiles(cacheDir);
+      const total = files.reduce((sum, f) => sum + f.size, 0);
+      if (total > sweepOptions.maxSizeBytes) {
+        log.warn(`[Cache Cleaner] Cache over budget (${formatMb(total)}), sweeping now`);
+        return runSweep(cacheDir, sweepOptions, 'over-budget');
+      }
+    }
+  };
+  if (sweepOptions.minFreeBytes || sweepOptions.maxSizeBytes) {
+    const diskTimer = setInterval(() => {
+      checkNow().catch(err => log.warn('[Cache Cleaner] Disk check failed:', err.message));
+    }, diskCheckSeconds * 1000);
+    if (diskTimer.unref) diskTimer.unref();
+  }
 
-  console.log(`[Cache Cleaner] Scheduled to run every ${intervalHours} hours`);
+  log.info(`[Cache Cleaner] Scheduled to run every ${intervalHours} hours`);
+  return {
+    // on-demand sweep; overrides (e.g. { dryRun: true }) apply to this run only
+    sweep: (overrides = {}) => runSweep(cacheDir, { ...sweepOptions, ...overrides }, 'manual'),
+    // call after writing to the cache so a burst of big files can't wait for the next check
+    check: () => checkNow().catch(err => log.warn('[Cache Cleaner] Disk check failed:', err.message))
+  };
 }
 
 module.exports = {
   cleanOldCacheFiles,
+  sweepCache,
+  touchCacheFile,
+  getLastSweep,
   startCacheCleaner
 };
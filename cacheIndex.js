@@ -0,0 +1,211 @@
+const fs = require('fs');
+const path = require('path');
+const log = require('./logger');
+
+/**
+ * Metadata index for the conversion cache
+ * - Cache files are named by hash (computeCacheKey), so the index remembers what each one is:
+ *   source URL, platform, format, clip, size, created, last hit, hit count
+ * - Also keeps global hit/miss counters for the hit ratio
+ * - Stored as JSON in <cacheDir>/.meta/index.json (a subdirectory, so the cleaner never evicts it),
+ *   written shortly after changes
+ * - Files with no entry (cached before the index existed) are picked up with an unknown URL
+ * - With a remote storage backend the index only knows what this instance cached or served;
+ *   there is no local directory to reconcile against
+ */
+
+const SAVE_DELAY_MS = 1000;
+
+// Short platform name for filtering ("youtube", "tiktok", ...), the host for anything else
+function platformOf(url) {
+  let host;
+  try {
+    host = new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch {
+    return null;
+  }
+  if (host.includes('youtube.com') || host === 'youtu.be') return 'youtube';
+  if (host.includes('tiktok.com')) return 'tiktok';
+  if (host.includes('instagram.com')) return 'instagram';
+  if (host === 'twitter.com' || host === 'x.com' || host.endsWith('.twitter.com')) return 'twitter';
+  return host;
+}
+
+/**
+ * @param {string} cacheDir - where the index file lives (and the cache itself for the fs backend)
+ * @param {object} storage - from storage.js, used to delete purged entries
+ */
+function createCacheIndex(cacheDir, storage) {
+  const indexPath = path.join(cacheDir, '.meta', 'index.json');
+  let entries = new Map(); // key -> entry
+  let stats = { hits: 0, misses: 0, since: new Date().toISOString() };
+  let saveTimer = null;
+
+  function load() {
+    try {
+      const data = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+      entries = new Map((data.entries || []).map(e => [e.key, e]));
+      if (data.stats) stats = data.stats;
+    } catch (e) {
+      if (e.code !== 'ENOENT') log.warn('[Cache Index] Failed to read index, rebuilding:', e.message);
+    }
+
+    if (storage.remote) return;
+    // reconcile with what's actually on disk
+    const files = new Set(fs.readdirSync(cacheDir).filter(name => !name.startsWith('.')));
+    for (const [key, entry] of entries) {
+      if (!files.has(entry.file)) entries.delete(key);
+    }
+    const known = new Set([...entries.values()].map(e => e.file));
+    for (const file of files) {
+      if (known.has(file)) continue;
+      const filePath = path.join(cacheDir, file);
+      const st = fs.statSync(filePath);
+      if (!st.isFile()) continue;
+      const key = path.parse(file).name;
+      entries.set(key, {
+        key,
+        file,
+        url: null,
+        platform: null,
+        format: path.extname(file).slice(1) || null,
+        clip: null,
+        size: st.size,
+        createdAt: st.mtime.toISOString(),
+        lastHitAt: null,
+        hits: 0
+      });
+    }
+    scheduleSave();
+  }
+
+  function scheduleSave() {
+    if (saveTimer) return;
+    saveTimer = setTimeout(() => {
+      saveTimer = null;
+      try {
+        fs.mkdirSync(path.dirname(indexPath), { recursive: true });
+        const tmpPath = `${indexPath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify({ stats, entries: [...entries.values()] }));
+        fs.renameSync(tmpPath, indexPath);
+      } catch (e) {
+        log.warn('[Cache Index] Failed to save index:', e.message);
+      }
+    }, SAVE_DELAY_MS);
+    if (saveTimer.unref) saveTimer.unref();
+  }
+
+  /**
+   * Remember a freshly cached file
+   * @param {string} key - computeCacheKey result
+   * @param {{ url, format, clip, file, size }} info - file is the storage key
+   */
+  function recordEntry(key, { url, format, clip = null, file, size }) {
+    entries.set(key, {
+      key,
+      file,
+      url,
+      platform: platformOf(url),
+      format,
+      clip,
+      size,
+      createdAt: new Date().toISOString(),
+      lastHitAt: null,
+      hits: 0
+    });
+    scheduleSave();
+  }
+
+  // `source` ({ url, clip }) backfills entries that were picked up from disk without metadata
+  function recordHit(key, source = null) {
+    stats.hits++;
+    const entry = entries.get(key);
+    if (entry) {
+      entry.hits++;
+      entry.lastHitAt = new Date().toISOString();
+      if (!entry.url && source && source.url) {
+        entry.url = source.url;
+        entry.platform = platformOf(source.url);
+        entry.clip = source.clip || null;
+      }
+    }
+    scheduleSave();
+  }
+
+  function recordMiss() {
+    stats.misses++;
+    scheduleSave();
+  }
+
+  // The cleaner (or anything else) deleted a cache file
+  function forgetFile(filePath) {
+    const file = path.basename(filePath);
+    for (const [key, entry] of entries) {
+      if (entry.file === file) entries.delete(key);
+    }
+    scheduleSave();
+  }
+
+  /**
+   * @param {{ url?: string, platform?: string, format?: string }} filter - url must already be cleaned
+   * @returns {object[]} newest first
+   */
+  function list(filter = {}) {
+    return [...entries.values()]
+      .filter(e => (!filter.url || e.url === filter.url) &&
+        (!filter.platform || e.platform === filter.platform) &&
+        (!filter.format || e.format === filter.format))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  function get(key) {
+    return entries.get(key) || null;
+  }
+
+  /**
+   * Delete cache files and their entries
+   * @returns {Promise<{ purged: number, freedBytes: number, errors: number }>}
+   */
+  async function purge(toPurge) {
+    let purged = 0;
+    let freedBytes = 0;
+    let errors = 0;
+    for (const entry of toPurge) {
+      try {
+        await storage.remove(entry.file);
+        entries.delete(entry.key);
+        purged++;
+        freedBytes += entry.size || 0;
+      } catch (e) {
+        errors++;
+        log.warn(`[Cache Index] Failed to purge ${entry.file}:`, e.message);
+      }
+    }
+    if (purged) {
+      log.info(`[Cache Index] Purged ${purged} entries (${(freedBytes / 1024 / 1024).toFixed(1)} MB)`);
+      scheduleSave();
+    }
+    return { purged, freedBytes, errors };
+  }
+
+  function summary() {
+    const all = [...entries.values()];
+    const lookups = stats.hits + stats.misses;
+    return {
+      entries: all.length,
+      totalBytes: all.reduce((sum, e) => sum + (e.size || 0), 0),
+      hits: stats.hits,
+      misses: stats.misses,
+      hitRatio: lookups ? Number((stats.hits / lookups).toFixed(4)) : null,
+      since: stats.since
+    };
+  }
+
+  load();
+  return { recordEntry, recordHit, recordMiss, forgetFile, list, get, purge, summary };
+}
+
+module.exports = {
+  platformOf,
+  createCacheIndex
+};
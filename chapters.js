@@ -0,0 +1,165 @@
+const fs = require('fs');
+const { spawn } = require('child_process');
+const log = require('./logger');
+
+/**
+ * Chapter splitting helpers
+ * - Chapter lists come from yt-dlp info JSON or markers embedded in the file
+ * - Without chapters, tracks are cut at the middle of long silent gaps
+ * - Tracks are cut with a stream copy (no re-encode, no quality loss)
+ */
+
+const SILENCE_NOISE_DB = Number(process.env.SILENCE_NOISE_DB || -35);
+const SILENCE_MIN_SEC = Number(process.env.SILENCE_MIN_SEC || 2);
+const MIN_TRACK_SEC = Number(process.env.MIN_TRACK_SEC || 30);
+const MAX_TRACKS = Number(process.env.MAX_CHAPTER_TRACKS || 100);
+
+// Past MAX_TRACKS the last track runs on to where the final one ends, so no audio goes missing
+function capTracks(tracks) {
+  if (tracks.length <= MAX_TRACKS) return tracks;
+  log.warn(`[Chapters] ${tracks.length} tracks found, merging everything from track ${MAX_TRACKS} on into the last one`);
+  const capped = tracks.slice(0, MAX_TRACKS);
+  capped[MAX_TRACKS - 1] = { ...capped[MAX_TRACKS - 1], end: tracks[tracks.length - 1].end };
+  return capped;
+}
+
+// signal (optional) kills the process; the promise rejects with the abort reason
+function runFfTool(cmd, args, signal = null) {
+  return new Promise((resolve, reject) => {
+    const proc = spawn(cmd, args, signal ? { signal } : {});
+    let stdout = '';
+    let stderr = '';
+    proc.stdout.on('data', (d) => { stdout += d.toString(); });
+    proc.stderr.on('data', (d) => { stderr += d.toString(); });
+    proc.on('error', (err) => {
+      if (!(signal && signal.aborted)) reject(err);
+    });
+    proc.on('close', (code) => {
+      if (signal && signal.aborted) return reject(signal.reason);
+      if (code === 0) return resolve({ stdout, stderr });
+      reject(new Error(`${cmd} exited ${code}: ${stderr.slice(-1000)}`));
+    });
+  });
+}
+
+/**
+ * Clean up a chapter list: sort, fill missing ends, clamp to the duration, drop empty ones
+ * @param {Array<{start_time, end_time, title}>} raw - yt-dlp / ffprobe shaped chapters
+ * @param {number} durationSec - 0 when unknown
+ * @returns {Array<{start: number, end: number|null, title: string}>}
+ */
+function normalizeChapters(raw, durationSec = 0) {
+  if (!Array.isArray(raw)) return [];
+  const sorted = raw
+    .map(c => ({ start: Number(c.start_time), end: Number(c.end_time), title: c.title ? String(c.title) : '' }))
+    .filter(c => Number.isFinite(c.start) && c.start >= 0)
+    .sort((a, b) => a.start - b.start);
+
+  const chapters = [];
+  sorted.forEach((c, i) => {
+    const next = sorted[i + 1];
+    let end = Number.isFinite(c.end) && c.end > c.start ? c.end : (next ? next.start : null);
+    if (durationSec > 0) {
+      if (c.start >= durationSec) return;
+      if (end === null || end > durationSec) end = durationSec;
+    }
+    if (end !== null && end - c.start < 0.5) return;
+    chapters.push({ start: c.start, end, title: c.title || `Chapter ${chapters.length + 1}` });
+  });
+  return capTracks(chapters);
+}
+
+// Chapters embedded in a media file (e.g. ID3 CHAP frames, MP4 chapters)
+async function probeFileChapters(filePath) {
+  try {
+    const { stdout } = await runFfTool('ffprobe', ['-v', 'error', '-show_chapters', '-of', 'json', filePath]);
+    const chapters = (JSON.parse(stdout).chapters || []).map(c => ({
+      start_time: c.start_time,
+      end_time: c.end_time,
+      title: c.tags && c.tags.title
+    }));
+    return chapters;
+  } catch (e) {
+    log.warn('[Chapters] ffprobe chapter read failed:', e.message);
+    return [];
+  }
+}
+
+/**
+ * Fallback: find long silences and split in the middle of each one
+ * @returns {Promise<Array<{start, end, title}>>} empty when fewer than two tracks would result
+ */
+async function detectSilenceChapters(filePath, durationSec, signal = null) {
+  const { stderr } = await runFfTool('ffmpeg', [
+    '-hide_banner',
+    '-nostats',
+    '-i', filePath,
+    '-vn',
+    '-af', `silencedetect=noise=${SILENCE_NOISE_DB}dB:d=${SILENCE_MIN_SEC}`,
+    '-f', 'null',
+    '-'
+  ], signal);
+
+  const cuts = [];
+  let silenceStart = null;
+  for (const line of stderr.split('\n')) {
+    const start = /silence_start: (-?\d+(?:\.\d+)?)/.exec(line);
+    if (start) silenceStart = Math.max(0, Number(start[1]));
+    const end = /silence_end: (\d+(?:\.\d+)?)/.exec(line);
+    if (end && silenceStart !== null) {
+      cuts.push((silenceStart + Number(end[1])) / 2);
+      silenceStart = null;
+    }
+  }
+
+  // build segments and merge ones that are too short to be a real track
+  const boundaries = [0, ...cuts.filter(c => c > 0 && (!durationSec || c < durationSec))];
+  const segments = [];
+  boundaries.forEach((start, i) => {
+    const end = i + 1 < boundaries.length ? boundaries[i + 1] : (durationSec || null);
+    const last = segments[segments.length - 1];
+    if (last && last.end !== null && last.end - last.start < MIN_TRACK_SEC) {
+      last.end = end;
+    } else {
+      segments.push({ start, end });
+    }
+  });
+  const tail = segments[segments.length - 1];
+  if (segments.length > 1 && tail.end !== null && tail.end - tail.start < MIN_TRACK_SEC) {
+    segments.pop();
+    segments[segments.length - 1].end = tail.end;
+  }
+
+  if (segments.length < 2) return [];
+  return capTracks(segments).map((s, i) => ({ ...s, title: `Part ${i + 1}` }));
+}
+
+/**
+ * Cut [start, end) out of inputPath into outputPath without re-encoding
+ * @param {string} muxer - ffmpeg container name (formats.js preset `muxer`)
+ * @param {AbortSignal} [signal]
+ */
+async function cutTrack(inputPath, outputPath, muxer, start, end, signal = null) {
+  await runFfTool('ffmpeg', [
+    '-hide_banner',
+    '-loglevel', 'error',
+    '-ss', String(start),
+    '-i', inputPath,
+    ...(end !== null ? ['-t', String(end - start)] : []),
+    '-map', '0:a:0',
+    '-map_metadata', '-1',
+    '-map_chapters', '-1',
+    '-c:a', 'copy',
+    '-f', muxer,
+    '-y',
+    outputPath
+  ], signal);
+  if (!fs.existsSync(outputPath)) throw new Error(`Track was not written: ${outputPath}`);
+}
+
+module.exports = {
+  normalizeChapters,
+  probeFileChapters,
+  detectSilenceChapters,
+  cutTrack
+};
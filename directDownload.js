@@ -0,0 +1,232 @@
+const fs = require('fs');
+const net = require('net');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const { once } = require('events');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const axios = require('axios');
+const log = require('./logger');
+const { serviceError, classifyDirectDownloadError } = require('./errors');
+
+/**
+ * Direct file downloads (URLs that aren't on a supported video platform)
+ * - http(s) only; hosts on loopback, private, link-local, CGNAT, multicast or reserved addresses
+ *   are refused with URL_BLOCKED. The check runs on the address actually connected to, so a
+ *   DNS answer that changes between lookups can't sneak past it
+ * - Redirects are followed here (up to MAX_REDIRECTS), every hop is checked again
+ * - Through a proxy the proxy does the connecting, so hostnames are resolved and checked up front
+ * - The byte cap is enforced while streaming (FILE_TOO_LARGE), Content-Length is only an early out
+ * - Content-Type and the first bytes must not look like a web page or API response (INVALID_MEDIA)
+ * - The address checks and guarded agents are shared with webhook deliveries (webhooks.js)
+ *
+ * ALLOW_PRIVATE_URLS=1 turns the address check off (local development only).
+ */
+
+const MAX_REDIRECTS = 5;
+const TIMEOUT_MS = 120000;
+const ALLOW_PRIVATE_URLS = process.env.ALLOW_PRIVATE_URLS === '1';
+
+const BLOCKED_RANGES = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], // "this network"
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16], // link-local, cloud metadata endpoints
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4] // reserved, broadcast
+]) {
+  BLOCKED_RANGES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [
+  ['::', 96], // unspecified, loopback and IPv4-compatible (::127.0.0.1, ::a9fe:a9fe)
+  ['64:ff9b::', 96], // NAT64, can embed any IPv4 address
+  ['2001:db8::', 32],
+  ['fc00::', 7], // unique local
+  ['fe80::', 10], // link-local
+  ['ff00::', 8] // multicast
+]) {
+  BLOCKED_RANGES.addSubnet(address, prefix, 'ipv6');
+}
+
+// ::ffff:127.0.0.1 / ::ffff:7f00:1 -> 127.0.0.1
+function mappedIpv4(address) {
+  const m = /^::ffff:(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/i.exec(address);
+  if (!m) return null;
+  if (m[1]) return m[1];
+  const hi = parseInt(m[2], 16);
+  const lo = parseInt(m[3], 16);
+  return `${hi >> 8}.${hi & 255}.${lo >> 8}.${lo & 255}`;
+}
+
+function isBlockedAddress(address) {
+  if (ALLOW_PRIVATE_URLS) return false;
+  const family = net.isIP(address);
+  if (family === 4) return BLOCKED_RANGES.check(address, 'ipv4');
+  if (family === 6) {
+    const v4 = mappedIpv4(address);
+    return v4 ? BLOCKED_RANGES.check(v4, 'ipv4') : BLOCKED_RANGES.check(address, 'ipv6');
+  }
+  return true;
+}
+
+function blockedError(message) {
+  return serviceError('URL_BLOCKED', message);
+}
+
+// dns.lookup replacement for the sockets we open: refuses blocked addresses at connect time
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (addresses.length === 0 || addresses.some(a => isBlockedAddress(a.address))) {
+      return callback(blockedError('This URL points to a private or internal address and cannot be fetched.'));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const httpAgent = new http.Agent({ lookup: guardedLookup });
+const httpsAgent = new https.Agent({ lookup: guardedLookup });
+
+/**
+ * Scheme and host checks done before connecting. IP literals never go through the lookup, so
+ * they are checked here; through a proxy hostnames are resolved here as well.
+ */
+async function checkTarget(url, { resolveHost }) {
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw blockedError('Only http and https URLs can be downloaded.');
+  }
+  if (url.username || url.password) throw blockedError('URLs with credentials cannot be downloaded.');
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host)) {
+    if (isBlockedAddress(host)) throw blockedError('This URL points to a private or internal address and cannot be fetched.');
+    return;
+  }
+  if (!resolveHost) return;
+  const addresses = await dns.promises.lookup(host, { all: true }).catch(() => {
+    throw serviceError('VIDEO_UNAVAILABLE', `The host ${host} could not be resolved.`);
+  });
+  if (addresses.some(a => isBlockedAddress(a.address))) {
+    throw blockedError('This URL points to a private or internal address and cannot be fetched.');
+  }
+}
+
+// Content types that are never media: pages, API responses, scripts
+function isNonMediaContentType(contentType) {
+  const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+  return type.startsWith('text/') || /html|json|xml|javascript/.test(type);
+}
+
+// Counts bytes against the cap and looks at the first bytes before anything reaches the disk
+function createGuardStream(maxBytes, maxMb) {
+  let received = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      if (received === 0) {
+        const head = chunk.subarray(0, 64).toString('latin1').trimStart();
+        if (head.startsWith('<') || head.startsWith('{')) {
+          return callback(serviceError('INVALID_MEDIA', 'This URL returned a web page, not a video or audio file.'));
+        }
+      }
+      received += chunk.length;
+      if (maxBytes > 0 && received > maxBytes) {
+        return callback(serviceError('FILE_TOO_LARGE', `The file at this URL is larger than your plan's ${maxMb}MB limit.`));
+      }
+      callback(null, chunk);
+    }
+  });
+}
+
+/**
+ * Download a file from a URL to outputPath
+ * @param {string} videoUrl
+ * @param {string} outputPath - removed again when the download fails
+ * @param {object} [options]
+ * @param {number} [options.maxMb] - size cap (0 = none)
+ * @param {object} [options.proxy] - axios proxy config
+ * @param {AbortSignal} [options.signal] - stops the transfer; the abort reason is thrown as is
+ * @returns {Promise<{ bytes: number, contentType: string|null }>}
+ */
+async function downloadDirectFile(videoUrl, outputPath, options = {}) {
+  const maxMb = Number(options.maxMb) || 0;
+  const maxBytes = maxMb * 1024 * 1024;
+  // with a proxy (ours, or HTTP(S)_PROXY picked up by axios) the proxy opens the connection
+  const proxied = !!options.proxy || !!(process.env.HTTP_PROXY || process.env.HTTPS_PROXY);
+  const signal = options.signal || null;
+
+  try {
+    let url;
+    try {
+      url = new URL(videoUrl);
+    } catch (e) {
+      throw serviceError('URL_UNSUPPORTED', 'This is not a valid URL.');
+    }
+    let response;
+    for (let hop = 0; ; hop++) {
+      await checkTarget(url, { resolveHost: proxied && !ALLOW_PRIVATE_URLS });
+      response = await axios({
+        method: 'GET',
+        url: url.href,
+        responseType: 'stream',
+        timeout: TIMEOUT_MS,
+        maxRedirects: 0,
+        validateStatus: () => true,
+        ...(signal ? { signal } : {}),
+        ...(options.proxy ? { proxy: options.proxy } : {}),
+        ...(proxied ? {} : { httpAgent, httpsAgent })
+      });
+      const location = response.headers.location;
+      if (response.status < 300 || response.status >= 400 || !location) break;
+      response.data.destroy();
+      if (hop >= MAX_REDIRECTS) throw serviceError('DOWNLOAD_FAILED', 'Too many redirects.');
+      url = new URL(location, url);
+      log.info(`Direct download redirected to ${url.origin}`);
+    }
+
+    if (response.status >= 400) {
+      response.data.destroy();
+      const err = new Error(`Request failed with status code ${response.status}`);
+      err.response = { status: response.status };
+      throw err;
+    }
+    const contentType = response.headers['content-type'] || null;
+    if (isNonMediaContentType(contentType)) {
+      response.data.destroy();
+      throw serviceError('INVALID_MEDIA', `This URL returned ${contentType.split(';')[0]}, not a video or audio file.`);
+    }
+    const declared = Number(response.headers['content-length']);
+    if (maxBytes > 0 && declared > maxBytes) {
+      response.data.destroy();
+      throw serviceError('FILE_TOO_LARGE', `The file at this URL is larger than your plan's ${maxMb}MB limit.`);
+    }
+
+    // opened before streaming so a rejected download can't recreate the file after it was removed
+    const writer = fs.createWriteStream(outputPath);
+    await once(writer, 'open');
+    await pipeline(response.data, createGuardStream(maxBytes, maxMb), writer, ...(signal ? [{ signal }] : []));
+    return { bytes: fs.statSync(outputPath).size, contentType };
+  } catch (error) {
+    try { fs.unlinkSync(outputPath); } catch (e) { /* ignore */ }
+    if (signal && signal.aborted) throw signal.reason;
+    log.warn('Direct download failed:', error.message);
+    throw classifyDirectDownloadError(error);
+  }
+}
+
+module.exports = {
+  isBlockedAddress,
+  checkTarget,
+  httpAgent,
+  httpsAgent,
+  downloadDirectFile
+};
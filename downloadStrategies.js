@@ -0,0 +1,248 @@
+const fs = require('fs');
+const log = require('./logger');
+const { serviceError } = require('./errors');
+
+/**
+ * yt-dlp download strategies
+ * - An ordered list of named steps; the first step that produces audio wins, the rest are skipped
+ * - Each step says how to call yt-dlp (player client, format, user agent, extra args) and when it
+ *   applies (platforms, duration range, patterns in the previous step's stderr)
+ * - Cookies/proxy (YTDLP_COOKIES / YTDLP_BROWSER / YTDLP_PROXY) are added to every step by the caller
+ * - DOWNLOAD_STRATEGIES_FILE (JSON) replaces the list so operators can reorder or disable steps:
+ *     { "strategies": ["tv_embedded", "web", { "name": "piped", "disabled": true }, "web_safari"] }
+ *   A string or an object naming a built-in step starts from that step; unknown names must be
+ *   complete definitions. Built-in steps left out of the list are not run.
+ *
+ * Step fields:
+ *   name          unique name, used in logs, progress events and metrics
+ *   mode          "download" (yt-dlp extracts audio to a file) or "pipe" (yt-dlp streams into ffmpeg)
+ *   playerClient  youtube player_client, "auto" for the per-request choice, null for yt-dlp's default
+ *   format        yt-dlp format selector, "auto" for the tier/duration based choice
+ *   userAgent     optional User-Agent
+ *   args          extra yt-dlp args
+ *   when          optional { platforms: [...], minDurationSec, maxDurationSec, previousStderr: [...] };
+ *                 previousStderr entries are substrings, or regexes written as "/pattern/flags"
+ *   timeoutSec    give up on the step after this long and try the next one (default
+ *                 STRATEGY_TIMEOUT_SECONDS, 0 = no limit)
+ *   disabled      skip the step
+ */
+
+const STRATEGY_TIMEOUT_SECONDS = Number(process.env.STRATEGY_TIMEOUT_SECONDS || 600);
+
+const CHROME_UA = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36';
+
+const BUILT_IN_STRATEGIES = [
+  // fast path: no intermediate file (ENABLE_PIPE=0 also turns it off)
+  { name: 'piped', mode: 'pipe', playerClient: null, format: 'auto', args: [] },
+  // web client with browser-like headers (no PO Token needed)
+  {
+    name: 'web',
+    mode: 'download',
+    playerClient: 'auto',
+    format: 'auto',
+    userAgent: CHROME_UA,
+    args: [
+      '--no-mtime',
+      '--referer', 'https://www.youtube.com/',
+      '--add-header', 'Accept-Language:en-US,en;q=0.9',
+      '--add-header', 'Accept:text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+      '--add-header', 'Sec-Fetch-Site:none',
+      '--add-header', 'Sec-Fetch-Mode:navigate',
+      '--add-header', 'Sec-Fetch-Dest:document'
+    ]
+  },
+  // TV embedded client (no PO Token, works with proxy)
+  {
+    name: 'tv_embedded',
+    mode: 'download',
+    playerClient: 'tv_embedded',
+    format: 'bestaudio/best',
+    userAgent: 'Mozilla/5.0 (PlayStation; PlayStation 5/2.26) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/13.0 Safari/605.1.15',
+    args: []
+  },
+  // alternative web client
+  {
+    name: 'web_safari',
+    mode: 'download',
+    playerClient: 'web_safari',
+    format: 'bestaudio/best',
+    userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Safari/605.1.15',
+    args: []
+  },
+  // web embedded player (last resort, no PO Token)
+  {
+    name: 'web_embedded',
+    mode: 'download',
+    playerClient: 'web_embedded',
+    format: 'bestaudio/best',
+    userAgent: CHROME_UA,
+    args: ['--geo-bypass', '--retries', '5', '--fragment-retries', '5']
+  },
+  // HLS/ffmpeg URL parsing errors sometimes need mpegts or prefer-ffmpeg
+  {
+    name: 'hls_retry',
+    mode: 'download',
+    playerClient: null,
+    format: 'bestaudio/best',
+    args: ['--hls-use-mpegts', '--hls-prefer-ffmpeg', '--allow-unplayable-formats', '--geo-bypass'],
+    when: { previousStderr: ['Port missing in uri', 'Invalid argument', 'ffmpeg exited with code 1'] }
+  }
+];
+
+const BUILT_IN_BY_NAME = new Map(BUILT_IN_STRATEGIES.map(s => [s.name, s]));
+
+function validateStrategy(step) {
+  if (!step.name || typeof step.name !== 'string') throw new Error('Download strategy without a name');
+  if (!['download', 'pipe'].includes(step.mode)) {
+    throw new Error(`Download strategy ${step.name}: mode must be "download" or "pipe"`);
+  }
+  if (!step.format || typeof step.format !== 'string') throw new Error(`Download strategy ${step.name}: format is required`);
+  if (!Array.isArray(step.args) || step.args.some(a => typeof a !== 'string')) {
+    throw new Error(`Download strategy ${step.name}: args must be a list of strings`);
+  }
+  if (step.timeoutSec !== undefined && !(Number(step.timeoutSec) >= 0)) {
+    throw new Error(`Download strategy ${step.name}: timeoutSec must be a non-negative number`);
+  }
+}
+
+// DOWNLOAD_STRATEGIES_FILE replaces the built-in list; a broken file stops startup like TIERS_FILE does
+function loadStrategies(file = process.env.DOWNLOAD_STRATEGIES_FILE) {
+  let entries = BUILT_IN_STRATEGIES;
+  if (file) {
+    const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    entries = Array.isArray(config) ? config : config.strategies;
+    if (!Array.isArray(entries)) throw new Error(`${file}: expected a "strategies" list`);
+  }
+
+  const steps = entries.map((entry) => {
+    const override = typeof entry === 'string' ? { name: entry } : entry;
+    const base = BUILT_IN_BY_NAME.get(override.name);
+    if (typeof entry === 'string' && !base) throw new Error(`Unknown download strategy: ${entry}`);
+    const step = { args: [], ...(base || {}), ...override };
+    validateStrategy(step);
+    return Object.freeze(step);
+  });
+  const names = steps.map(s => s.name);
+  const duplicate = names.find((name, i) => names.indexOf(name) !== i);
+  if (duplicate) throw new Error(`Download strategy ${duplicate} is listed twice`);
+  if (file) log.info(`[Strategies] Loaded ${steps.length} download strategies from ${file}: ${names.join(' -> ')}`);
+  return steps;
+}
+
+const STRATEGIES = loadStrategies();
+
+function matchesPattern(text, pattern) {
+  const regex = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+  return regex ? new RegExp(regex[1], regex[2]).test(text) : text.includes(pattern);
+}
+
+/**
+ * Whether a step should run
+ * @param {object} step
+ * @param {{ platform: string|null, durationSec: number, previousError: Error|null }} context
+ * @returns {string|null} why it is skipped, null when it applies
+ */
+function skipReason(step, context) {
+  if (step.disabled) return 'disabled';
+  if (step.mode === 'pipe' && process.env.ENABLE_PIPE === '0') return 'ENABLE_PIPE=0';
+  const when = step.when || {};
+  if (when.platforms && !when.platforms.includes(context.platform)) return `not for ${context.platform || 'this platform'}`;
+  // unknown durations (0) never rule a step out
+  if (context.durationSec > 0) {
+    if (when.minDurationSec && context.durationSec < when.minDurationSec) return 'video too short';
+    if (when.maxDurationSec && context.durationSec > when.maxDurationSec) return 'video too long';
+  }
+  if (when.previousStderr) {
+    const stderr = context.previousError && typeof context.previousError.stderr === 'string' ? context.previousError.stderr : null;
+    if (!stderr || !when.previousStderr.some(p => matchesPattern(stderr, p))) return 'previous error does not match';
+  }
+  return null;
+}
+
+/**
+ * Run the steps in order until one succeeds
+ * @param {object} context - { platform, durationSec } for the `when` conditions, plus an optional
+ *   `signal`: once it aborts no further step is tried and the abort reason is thrown
+ * @param {function} attempt - async (step, position, signal) => result; throws when the step fails.
+ *   Its signal also fires when the step runs past its timeout, which only moves on to the next step.
+ * @param {object[]} [steps] - defaults to the configured list (loadStrategies)
+ * @returns {Promise<{ step, position, result }>} rejects with the last step's error when all fail
+ */
+async function runStrategies(context, attempt, steps = STRATEGIES) {
+  const jobSignal = context.signal || null;
+  let previousError = null;
+  for (let position = 0; position < steps.length; position++) {
+    if (jobSignal) jobSignal.throwIfAborted();
+    const step = steps[position];
+    const skipped = skipReason(step, { ...context, previousError });
+    if (skipped) {
+      if (!step.disabled) log.info(`Skipping download strategy ${step.name} (${skipped})`);
+      continue;
+    }
+    const timeoutSec = step.timeoutSec !== undefined ? Number(step.timeoutSec) : STRATEGY_TIMEOUT_SECONDS;
+    const stepTimeout = new AbortController();
+    const timer = timeoutSec > 0
+      ? setTimeout(() => stepTimeout.abort(new Error(`Download strategy ${step.name} timed out after ${timeoutSec}s`)), timeoutSec * 1000)
+      : null;
+    const signal = jobSignal ? AbortSignal.any([jobSignal, stepTimeout.signal]) : stepTimeout.signal;
+    try {
+      log.info(`Trying download strategy ${position}: ${step.name}`);
+      const result = await attempt(step, position, signal);
+      log.info(`SUCCESS: download strategy ${step.name} worked!`);
+      return { step, position, result };
+    } catch (err) {
+      if (jobSignal && jobSignal.aborted) throw jobSignal.reason;
+      log.warn(`Download strategy ${step.name} failed:`, err.message);
+      previousError = err;
+    } finally {
+      if (timer) clearTimeout(timer);
+    }
+  }
+  throw previousError || serviceError('DOWNLOAD_FAILED', 'No download strategy applies to this video.');
+}
+
+// yt-dlp format selector for a step ("auto" = the per-request choice)
+function strategyFormat(step, request) {
+  return step.format === 'auto' ? request.format : step.format;
+}
+
+/**
+ * yt-dlp arguments for a step. "pipe" steps only get the extra args (client, user agent, clip,
+ * cookies/proxy), the streaming helper adds its own output options.
+ * @param {object} step
+ * @param {object} request - { url, outputTemplate, audioFormat, format, playerClient, clipArgs, authArgs };
+ *   format/playerClient are the per-request choices used for "auto"
+ */
+function buildStrategyArgs(step, request) {
+  const playerClient = step.playerClient === 'auto' ? request.playerClient : step.playerClient;
+  const extraArgs = [
+    ...(playerClient ? ['--extractor-args', `youtube:player_client=${playerClient}`] : []),
+    ...(step.userAgent ? ['--user-agent', step.userAgent] : []),
+    ...step.args,
+    ...request.clipArgs
+  ];
+  if (step.mode === 'pipe') return [...extraArgs, ...request.authArgs];
+  return [
+    '--no-playlist',
+    '-x', '--audio-format', request.audioFormat,
+    '--format', strategyFormat(step, request),
+    '--output', request.outputTemplate,
+    ...extraArgs,
+    request.url,
+    ...request.authArgs
+  ];
+}
+
+// Names in run order, for /health and the startup log
+function describeStrategies() {
+  return STRATEGIES.filter(s => !s.disabled).map(s => s.name);
+}
+
+module.exports = {
+  loadStrategies,
+  skipReason,
+  runStrategies,
+  strategyFormat,
+  buildStrategyArgs,
+  describeStrategies
+};
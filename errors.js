@@ -0,0 +1,277 @@
+/**
+ * Conversion errors
+ * - Every failure a client should understand is a ServiceError with a stable `code`, the HTTP
+ *   `status` it is answered with, a `retryable` flag and a user-facing message
+ * - The subclass says what kind of failure it is (and picks the status): bad input, no access,
+ *   not found, gone, too large, rate limited, upstream failure, temporarily unavailable,
+ *   cancelled, timed out
+ * - yt-dlp and ffmpeg failures are classified from their stderr in one place
+ *   (classifyDownloadError / classifyFfmpegError), plain file downloads from the HTTP status
+ * - `message` stays "<CODE>: <user message>" for the logs; clients are only shown `userMessage`
+ *
+ * Anything else is a SERVER_ERROR (500), answered with a generic message.
+ */
+
+class ServiceError extends Error {
+  /**
+   * @param {string} code - stable error code (see ERROR_CODES)
+   * @param {string} userMessage - safe to show to the client
+   * @param {object} [options] - { retryable, retryAfterSec, cause }
+   */
+  constructor(code, userMessage, options = {}) {
+    super(`${code}: ${userMessage}`, options.cause ? { cause: options.cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.userMessage = userMessage;
+    this.status = this.constructor.status;
+    this.retryable = options.retryable !== undefined ? options.retryable : this.constructor.retryable;
+    // when the client should try again (Retry-After), if we can tell
+    this.retryAfterSec = options.retryAfterSec || null;
+  }
+}
+ServiceError.status = 500;
+ServiceError.retryable = false;
+
+// the request can't be served as asked (unsupported URL, clip past the end, over the plan's limits)
+class InvalidRequestError extends ServiceError {}
+InvalidRequestError.status = 422;
+
+// we may not fetch it: login, region, or an address we refuse to connect to
+class AccessDeniedError extends ServiceError {}
+AccessDeniedError.status = 403;
+
+class NotFoundError extends ServiceError {}
+NotFoundError.status = 404;
+
+// the video existed but has been taken down
+class GoneError extends ServiceError {}
+GoneError.status = 410;
+
+class PayloadTooLargeError extends ServiceError {}
+PayloadTooLargeError.status = 413;
+
+class RateLimitedError extends ServiceError {}
+RateLimitedError.status = 429;
+RateLimitedError.retryable = true;
+
+// the source platform or server failed us, trying again later may work
+class UpstreamError extends ServiceError {}
+UpstreamError.status = 502;
+UpstreamError.retryable = true;
+
+class UnavailableError extends ServiceError {}
+UnavailableError.status = 503;
+UnavailableError.retryable = true;
+
+// the job was stopped on purpose (DELETE /jobs/:id, client went away)
+class CancelledError extends ServiceError {}
+CancelledError.status = 409;
+
+// the job ran past its deadline
+class DeadlineExceededError extends ServiceError {}
+DeadlineExceededError.status = 504;
+DeadlineExceededError.retryable = true;
+
+// Stable codes: which class they are raised as, and the default user message
+const ERROR_CODES = {
+  URL_UNSUPPORTED: { type: InvalidRequestError, message: 'This URL is not supported.' },
+  CLIP_OUT_OF_RANGE: { type: InvalidRequestError, message: 'The requested clip is outside the video.' },
+  DURATION_LIMIT: { type: InvalidRequestError, message: 'This video is longer than your plan allows.' },
+  PLAYLIST_EMPTY: { type: InvalidRequestError, message: 'No playable items were found in the requested range.' },
+  NO_CHAPTERS: { type: InvalidRequestError, message: 'This video has no chapters and no clear silent gaps to split on.' },
+  INVALID_MEDIA: { type: InvalidRequestError, message: 'The file has no audio track or is not a supported media file.' },
+  VIDEO_PRIVATE: { type: AccessDeniedError, message: 'This video is private and cannot be downloaded.' },
+  VIDEO_AGE_RESTRICTED: { type: AccessDeniedError, message: 'This video is age-restricted and requires authentication.' },
+  VIDEO_MEMBERS_ONLY: { type: AccessDeniedError, message: 'This video is for channel members only.' },
+  VIDEO_REQUIRES_AUTH: { type: AccessDeniedError, message: 'This video requires a logged-in account. Please try a different video.' },
+  URL_BLOCKED: { type: AccessDeniedError, message: 'This URL cannot be fetched.' },
+  VIDEO_GEO_BLOCKED: { type: AccessDeniedError, message: 'This video is not available in the region this server downloads from.' },
+  VIDEO_UNAVAILABLE: {
+    type: NotFoundError,
+    message: 'This video cannot be found. It may have been deleted or the link may be wrong. Please check the URL or try a different video.'
+  },
+  VIDEO_REMOVED: { type: GoneError, message: 'This video has been removed and can no longer be downloaded.' },
+  VIDEO_COPYRIGHT: { type: GoneError, message: 'This video is blocked due to copyright restrictions.' },
+  FILE_TOO_LARGE: { type: PayloadTooLargeError, message: 'The file is larger than your plan allows.' },
+  RATE_LIMITED: { type: RateLimitedError, message: 'Too many requests. Please try again in a few minutes.' },
+  // the daily quota only resets tomorrow, retrying right away won't help
+  QUOTA_EXCEEDED: { type: RateLimitedError, retryable: false, message: 'Daily quota used up.' },
+  DOWNLOAD_FAILED: {
+    type: UpstreamError,
+    message: 'Unable to download this video after trying multiple methods. Some videos cannot be converted due to platform restrictions. Please try a different video.'
+  },
+  CANCELLED: { type: CancelledError, message: 'The job was cancelled.' },
+  TIMEOUT: { type: DeadlineExceededError, message: 'The job took too long and was stopped. Please try again later.' },
+  QUEUE_FULL: { type: UnavailableError, message: 'The server is busy right now. Please try again shortly.' },
+  JOB_INTERRUPTED: { type: UnavailableError, message: 'The job was interrupted by a server restart. Please submit it again.' },
+  VIDEO_RATE_LIMITED: {
+    type: UnavailableError,
+    message: 'YouTube is rate limiting requests from this server. Please try a different video or try again in a few minutes. If this persists, contact support.'
+  }
+};
+
+/**
+ * Create the error for a stable code
+ * @param {string} code - key of ERROR_CODES
+ * @param {string} [userMessage] - defaults to the code's standard message
+ * @param {object} [options] - { cause, retryAfterSec }
+ */
+function serviceError(code, userMessage, options = {}) {
+  const spec = ERROR_CODES[code];
+  if (!spec) throw new Error(`Unknown error code: ${code}`);
+  const ErrorType = spec.type;
+  return new ErrorType(code, userMessage || spec.message, {
+    cause: options.cause,
+    retryAfterSec: options.retryAfterSec,
+    ...(spec.retryable !== undefined ? { retryable: spec.retryable } : {})
+  });
+}
+
+// yt-dlp stderr patterns, first match wins; the comments show the output each one is for
+const DOWNLOAD_ERROR_PATTERNS = [
+  // ERROR: [youtube] dQw4w9WgXcQ: Sign in to confirm you’re not a bot. Use --cookies-from-browser or --cookies for the authentication. ...
+  // (checked first: the hint about --cookies would otherwise read as a login requirement)
+  { code: 'VIDEO_RATE_LIMITED', test: s => /sign in to confirm you.re not a bot/i.test(s) || (s.includes('Sign in') && s.includes('bot')) },
+  // ERROR: unable to download video data: HTTP Error 429: Too Many Requests
+  { code: 'RATE_LIMITED', test: s => s.includes('HTTP Error 429') || s.includes('Too Many Requests') },
+  // ERROR: [youtube] abcdefghijk: Private video. Sign in if you've been granted access to this video
+  { code: 'VIDEO_PRIVATE', test: s => s.includes('Private video') || s.includes('This video is private') },
+  // ERROR: [youtube] abcdefghijk: Sign in to confirm your age. This video may be inappropriate for some users.
+  { code: 'VIDEO_AGE_RESTRICTED', test: s => /confirm your age|age[- ]restricted/i.test(s) },
+  // ERROR: [youtube] abcdefghijk: Join this channel to get access to members-only content like this video, and other exclusive perks.
+  { code: 'VIDEO_MEMBERS_ONLY', test: s => s.includes('members-only') || s.includes('Join this channel') },
+  // ERROR: [youtube] abcdefghijk: Video unavailable. This video is no longer available due to a copyright claim by Example Records
+  // ERROR: [youtube] abcdefghijk: Video unavailable. This video contains content from Example, who has blocked it on copyright grounds
+  { code: 'VIDEO_COPYRIGHT', test: s => /copyright (claim|grounds)/i.test(s) || (s.includes('copyright') && s.includes('blocked')) },
+  // ERROR: [youtube] abcdefghijk: Video unavailable. This video has been removed by the uploader
+  // ERROR: [youtube] abcdefghijk: Video unavailable. This video is no longer available because the YouTube account associated with this video has been terminated.
+  // ERROR: [youtube] abcdefghijk: This video has been removed for violating YouTube's Terms of Service
+  { code: 'VIDEO_REMOVED', test: s => /has been removed|has been terminated|removed for violating/i.test(s) },
+  // ERROR: [youtube] abcdefghijk: Video unavailable. The uploader has not made this video available in your country
+  { code: 'VIDEO_GEO_BLOCKED', test: s => /available in your (country|region)|geo[- ]?restrict/i.test(s) },
+  // ERROR: [vimeo] 123456789: This video is only available for registered users. Use --cookies ... (logged-in)
+  // ERROR: [Instagram] Cx1aBcDeFgH: Requested content is not available, rate-limit reached or login required. Use --cookies ...
+  // ERROR: [twitter] 1234567890123456789: NSFW tweet requires authentication. Use --cookies ...
+  {
+    code: 'VIDEO_REQUIRES_AUTH',
+    test: s => /login required|logged-in|registered users|requires authentication|log in to/i.test(s)
+  },
+  // ERROR: [youtube] abcdefghijk: Video unavailable
+  // ERROR: [youtube] abcdefghijk: Video unavailable. This video is unavailable
+  // ERROR: [TikTok] 7234567890123456789: Unable to find video in feed / HTTP Error 404: Not Found
+  {
+    code: 'VIDEO_UNAVAILABLE',
+    test: s => /video unavailable|this video is unavailable|does not exist|HTTP Error 404|HTTP Error 410|Unable to find video/i.test(s)
+  },
+  // ERROR: Unsupported URL: https://example.com/page
+  { code: 'URL_UNSUPPORTED', test: s => s.includes('Unsupported URL') },
+  // ERROR: Could not copy Chrome cookie database. / sqlite3.OperationalError: unable to open database file
+  // (a broken cookie setup on this server, not the video's fault)
+  {
+    code: 'DOWNLOAD_FAILED',
+    message: 'Unable to download this video at the moment. Please try a different video or try again later.',
+    test: s => s.includes('sqlite3') || s.includes('Cookies.sqlite') || (s.includes('cookie') && s.includes('database'))
+  }
+];
+
+// ffmpeg stderr patterns that mean the input has no usable audio (the client's file, not our fault)
+const INVALID_MEDIA_PATTERNS = [
+  // pipe:0: Invalid data found when processing input
+  'Invalid data found when processing input',
+  // Stream map '0:a:0' matches no streams.
+  'matches no streams',
+  // Output file #0 does not contain any stream
+  'does not contain any stream',
+  // [mov,mp4,m4a,3gp,3g2,mj2 @ 0x55d1c8a0] moov atom not found
+  'moov atom not found'
+];
+
+function errorText(err) {
+  if (!err) return '';
+  const stderr = typeof err.stderr === 'string' ? err.stderr : '';
+  return `${err.message || String(err)}\n${stderr}`;
+}
+
+/**
+ * Classify a failed yt-dlp download (the error of the last strategy that ran)
+ * ServiceErrors pass through unchanged; anything unrecognised is a retryable DOWNLOAD_FAILED.
+ * @param {Error} err - runYtDlp errors carry `stderr`
+ * @returns {ServiceError}
+ */
+function classifyDownloadError(err) {
+  if (err instanceof ServiceError) return err;
+  const text = errorText(err);
+  const match = DOWNLOAD_ERROR_PATTERNS.find(p => p.test(text));
+  return serviceError(match ? match.code : 'DOWNLOAD_FAILED', match && match.message, { cause: err });
+}
+
+/**
+ * Classify a failed plain HTTP(S) file download (axios error)
+ * @returns {ServiceError}
+ */
+function classifyDirectDownloadError(err) {
+  // errors raised while connecting (blocked address) come back wrapped by axios
+  for (let e = err; e; e = e.cause) {
+    if (e instanceof ServiceError) return e;
+  }
+  const status = err && err.response ? err.response.status : null;
+  if (status === 404 || status === 410) {
+    return serviceError('VIDEO_UNAVAILABLE', `The file could not be found at this URL (HTTP ${status}).`, { cause: err });
+  }
+  const reason = status ? `HTTP ${status}` : (err && (err.code || err.message)) || 'unknown error';
+  return serviceError('DOWNLOAD_FAILED', `Could not download the file from this URL (${reason}).`, { cause: err });
+}
+
+/**
+ * Classify a failed ffmpeg run from its stderr
+ * @returns {Error} INVALID_MEDIA when the input has no usable audio, otherwise a plain (server) error
+ */
+function classifyFfmpegError(stderr, label = 'FFmpeg failed') {
+  const text = String(stderr || '');
+  if (INVALID_MEDIA_PATTERNS.some(p => text.includes(p))) {
+    return serviceError('INVALID_MEDIA', null, { cause: new Error(`${label}: ${text.slice(-1000)}`) });
+  }
+  return new Error(`${label}: ${text}`);
+}
+
+// what clients see for SERVER_ERROR; the real message (paths, commands, stderr) stays in the logs
+const SERVER_ERROR_MESSAGE = 'Something went wrong on our side. Please try again later.';
+
+/**
+ * What the client gets told about a thrown error
+ * Older "<CODE>: message" errors with a known code are still recognised.
+ * @returns {{ message: string, code: string, status: number, retryable: boolean, retryAfterSec?: number|null }}
+ */
+function describeError(err) {
+  if (err instanceof ServiceError) {
+    return { message: err.userMessage, code: err.code, status: err.status, retryable: err.retryable, retryAfterSec: err.retryAfterSec };
+  }
+  const message = (err && err.message) || '';
+  const prefix = message.split(':')[0];
+  const spec = ERROR_CODES[prefix];
+  if (spec) {
+    const retryable = spec.retryable !== undefined ? spec.retryable : spec.type.retryable;
+    return { message: message.slice(prefix.length + 1).trim() || spec.message, code: prefix, status: spec.type.status, retryable };
+  }
+  return { message: SERVER_ERROR_MESSAGE, code: 'SERVER_ERROR', status: 500, retryable: false };
+}
+
+module.exports = {
+  ServiceError,
+  InvalidRequestError,
+  AccessDeniedError,
+  NotFoundError,
+  GoneError,
+  PayloadTooLargeError,
+  RateLimitedError,
+  UpstreamError,
+  UnavailableError,
+  CancelledError,
+  DeadlineExceededError,
+  ERROR_CODES,
+  serviceError,
+  classifyDownloadError,
+  classifyDirectDownloadError,
+  classifyFfmpegError,
+  describeError
+};
@@ -0,0 +1,137 @@
+/**
+ * Output format presets (codec + container) shared by every conversion path
+ * - mp3 stays the default; lossy bitrates/quality come from the caller's tier (tiers.js)
+ * - Lossless formats (flac, wav) ignore tier bitrates
+ * - `muxer` is the ffmpeg container used when remuxing without re-encoding (tags, splitting)
+ */
+
+const OUTPUT_FORMATS = {
+  mp3: {
+    ext: 'mp3',
+    muxer: 'mp3',
+    mimeType: 'audio/mpeg',
+    ytdlpAudioFormat: 'mp3',
+    encoderArgs: (tier) => [
+      '-c:a', 'libmp3lame',
+      '-b:a', tier.bitrate,
+      '-ar', '44100',
+      '-ac', '2',
+      '-compression_level', '0',
+      '-q:a', String(tier.mp3Quality),      // Lower quality = faster conversion
+      '-write_xing', '0',
+      '-id3v2_version', '0',
+      '-f', 'mp3'
+    ]
+  },
+  m4a: {
+    ext: 'm4a',
+    muxer: 'ipod',
+    mimeType: 'audio/mp4',
+    ytdlpAudioFormat: 'm4a',
+    encoderArgs: (tier) => [
+      '-c:a', 'aac',
+      '-b:a', tier.bitrate,
+      '-ar', '44100',
+      '-ac', '2',
+      '-movflags', '+faststart',
+      '-f', 'ipod'
+    ]
+  },
+  opus: {
+    ext: 'opus',
+    muxer: 'ogg',
+    mimeType: 'audio/ogg; codecs=opus',
+    ytdlpAudioFormat: 'opus',
+    encoderArgs: (tier) => [
+      '-c:a', 'libopus',
+      '-b:a', tier.opusBitrate,             // Opus is efficient, voice notes sound fine at 64k
+      '-ar', '48000',
+      '-ac', '2',
+      '-application', 'audio',
+      '-f', 'ogg'
+    ]
+  },
+  ogg: {
+    ext: 'ogg',
+    muxer: 'ogg',
+    mimeType: 'audio/ogg; codecs=vorbis',
+    ytdlpAudioFormat: 'vorbis',
+    encoderArgs: (tier) => [
+      '-c:a', 'libvorbis',
+      '-q:a', String(tier.vorbisQuality),
+      '-ar', '44100',
+      '-ac', '2',
+      '-f', 'ogg'
+    ]
+  },
+  flac: {
+    ext: 'flac',
+    muxer: 'flac',
+    mimeType: 'audio/flac',
+    ytdlpAudioFormat: 'flac',
+    encoderArgs: () => [
+      '-c:a', 'flac',
+      '-compression_level', '5',
+      '-ar', '44100',
+      '-ac', '2',
+      '-f', 'flac'
+    ]
+  },
+  wav: {
+    ext: 'wav',
+    muxer: 'wav',
+    mimeType: 'audio/wav',
+    ytdlpAudioFormat: 'wav',
+    encoderArgs: () => [
+      '-c:a', 'pcm_s16le',
+      '-ar', '44100',
+      '-ac', '2',
+      '-f', 'wav'
+    ]
+  }
+};
+
+const FORMAT_ALIASES = {
+  aac: 'm4a',
+  vorbis: 'ogg',
+  wave: 'wav'
+};
+
+const DEFAULT_FORMAT = 'mp3';
+
+// File extensions yt-dlp may leave behind before we re-encode to the requested format
+const SOURCE_AUDIO_EXTENSIONS = ['mp3', 'webm', 'm4a', 'wav', 'aac', 'opus', 'ogg', 'flac'];
+
+/**
+ * Normalize a user-supplied format name
+ * @param {string} input - e.g. "MP3", "aac", "opus"
+ * @returns {string|null} canonical format name, or null if unsupported
+ */
+function resolveFormat(input) {
+  if (input === undefined || input === null || input === '') return DEFAULT_FORMAT;
+  const name = String(input).trim().toLowerCase();
+  const canonical = FORMAT_ALIASES[name] || name;
+  return Object.prototype.hasOwnProperty.call(OUTPUT_FORMATS, canonical) ? canonical : null;
+}
+
+function getFormatPreset(format) {
+  return OUTPUT_FORMATS[format] || OUTPUT_FORMATS[DEFAULT_FORMAT];
+}
+
+/**
+ * Everything a tier changes about a format's output: the encoder settings plus the quality of the
+ * source stream. Tiers with the same profile produce the same file (lossless formats only differ
+ * by source quality), so this goes into the cache key.
+ */
+function encodingProfile(format, tier) {
+  return `${tier.sourceQuality} ${getFormatPreset(format).encoderArgs(tier).join(' ')}`;
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  DEFAULT_FORMAT,
+  SOURCE_AUDIO_EXTENSIONS,
+  resolveFormat,
+  getFormatPreset,
+  encodingProfile
+};
@@ -2,19 +2,60 @@ const express = require('express');
 const multer = require('multer');
 const { spawn, spawnSync } = require('child_process');
 const fs = require('fs');
-const axios = require('axios');
 const { v4: uuidv4 } = require('uuid');
 const crypto = require('crypto');
 const os = require('os');
 const path = require('path');
+const { parseTagOverrides, buildTags, sanitizeFilename, fetchCoverArt, writeAudioTags, readTitleTag } = require('./audioTags');
+const { createYtdlpProgressReader, createFfmpegProgressReader } = require('./progress');
+const { resolveBatchRange, expandPlaylist, buildM3u, createZip } = require('./batch');
+const { resolveLoudnessTarget, formatLoudnessTarget, measureLoudness, buildLoudnormFilter, describeLoudness } = require('./loudness');
+const { normalizeChapters, probeFileChapters, detectSilenceChapters, cutTrack } = require('./chapters');
+const { resolveClip, fitClipToDuration, formatClipRange } = require('./timeRange');
+const { resolveFormat, getFormatPreset, encodingProfile, SOURCE_AUDIO_EXTENSIONS } = require('./formats');
+const { getTier, getAnonymousTier, tierAllowsFormat, maxUploadBytes, describeTier } = require('./tiers');
+const { authenticate, requireAdmin } = require('./auth');
+const { limitRequests, getQuotaStatus, recordUsage } = require('./rateLimit');
+const { createSingleFlight } = require('./singleFlight');
+const { createSlotPool } = require('./slotPool');
+const { runStrategies, strategyFormat, buildStrategyArgs, describeStrategies } = require('./downloadStrategies');
+const { webhooksEnabled, checkCallbackUrl, deliverWebhook } = require('./webhooks');
+const { serviceError, classifyDownloadError, classifyFfmpegError, describeError } = require('./errors');
+const { downloadDirectFile } = require('./directDownload');
+const { createVideoInfoCache, describeVideoInfo } = require('./videoInfo');
+const {
+  trackSlotPools,
+  recordConversion,
+  recordLayerAttempt,
+  recordLayerSuccess,
+  timePhase,
+  recordCacheLookup,
+  recordBytesServed,
+  httpMetrics,
+  metricsHandler
+} = require('./metrics');
+const { configureJobs, createJob, restoreJobs, jobFiles, getJob, waitForJob, cancelJob, removeJob, serializeJob, subscribeToJob } = require('./jobs');
+const { createJobStore } = require('./jobStore');
+const log = require('./logger');
+const { sanitizeArgsForLog } = log;
 
 const app = express();
 const port = process.env.PORT || 8080;
 
+// Behind a load balancer (Railway etc.) set TRUST_PROXY (hop count or "true") so req.ip is the client
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY === 'true');
+}
+
+// correlation id (X-Request-Id) for every log line of a request, and its jobs
+app.use(log.requestContext());
+
 app.use((req, res, next) => {
     res.header('Access-Control-Allow-Origin', '*'); // Or specify your domain
-    res.header('Access-Control-Allow-Methods', 'POST, GET, OPTIONS');
-    res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-User-Tier');
+    res.header('Access-Control-Allow-Methods', 'POST, GET, DELETE, OPTIONS');
+    res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key, X-Request-Id, Range, If-None-Match, If-Range');
+    res.header('Access-Control-Expose-Headers', 'Content-Disposition, Content-Length, Content-Range, Accept-Ranges, ETag, X-Conversion-Time, X-Cache, Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset, X-Quota-Minutes-Remaining, X-Quota-MB-Remaining, X-Request-Id');
     res.header('Access-Control-Max-Age', '86400'); // 24 hours
 
     // Handle preflight OPTIONS requests
@@ -24,37 +65,64 @@ app.use((req, res, next) => {
     next();
   });
 
+app.use(httpMetrics());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// API key -> tier (req.client); runs before multer so rejected callers never upload
+app.use(authenticate(['/health', '/metrics']));
+
+// Uploads and work files of this service only (one directory per instance), so the startup
+// cleanup can clear it without touching anything else in the system temp directory
+const WORK_DIR = process.env.WORK_DIR || path.join(os.tmpdir(), 'vcs');
+fs.mkdirSync(WORK_DIR, { recursive: true, mode: 0o700 });
+
 const upload = multer({
-  dest: '/tmp/',
-  limits: { fileSize: 500 * 1024 * 1024 }
+  dest: WORK_DIR,
+  // per-tier limits are enforced in validateConversionRequest
+  limits: { fileSize: maxUploadBytes() }
 });
 
-// Premium feature flag from request headers
-function isPremiumUser(req) {
-  return req.headers['x-user-tier'] === 'premium' ||
-         req.headers['x-user-tier'] === 'business' ||
-         req.headers['x-user-tier'] === 'enterprise';
+// Tier a job was submitted with (tier names are stored so job params stay plain data)
+function jobTier(job) {
+  return getTier(job.params.tier) || getAnonymousTier();
 }
 
+// Tier max duration applies to the audio actually converted (the clip when one was requested)
+function assertWithinDurationLimit(tier, durationSec) {
+  const limitMinutes = Number(tier.maxDurationMinutes);
+  if (limitMinutes > 0 && durationSec > limitMinutes * 60) {
+    throw serviceError('DURATION_LIMIT', `Your plan converts up to ${limitMinutes} minutes of audio. Request a shorter clip or upgrade.`);
+  }
+}
+
+// Seconds of audio a request converts: the clip, or the whole video (0 when unknown)
+function convertedDuration(clip, durationSec) {
+  const fitted = fitClipToDuration(clip, durationSec);
+  if (!fitted) return durationSec;
+  return (fitted.end !== null ? fitted.end : durationSec) - fitted.start;
+}
+
+// Supported platforms (yt-dlp handles all of these)
+const PLATFORM_DOMAINS = [
+  // YouTube
+  'youtube.com', 'youtu.be',
+  // TikTok (easier than YouTube, ~95%+ success)
+  'tiktok.com',
+  // Instagram (works well for public posts)
+  'instagram.com',
+  // Twitter/X (very reliable)
+  'twitter.com', 'x.com'
+];
+
+// The domain itself or a subdomain of it: anything else (fox.com.example) is a direct download
+// and goes through the address checks in directDownload.js
 function isSupportedVideoUrl(url) {
   try {
     const u = new URL(url);
-    const host = u.hostname.toLowerCase();
-
-    // Supported platforms (yt-dlp handles all of these)
-    return (
-      // YouTube
-      host.includes('youtube.com') || host.includes('youtu.be') ||
-      // TikTok (easier than YouTube, ~95%+ success)
-      host.includes('tiktok.com') ||
-      // Instagram (works well for public posts)
-      host.includes('instagram.com') ||
-      // Twitter/X (very reliable)
-      host.includes('twitter.com') || host.includes('x.com')
-    );
+    if (u.protocol !== 'http:' && u.protocol !== 'https:') return false;
+    const host = u.hostname.toLowerCase().replace(/\.$/, '');
+    return PLATFORM_DOMAINS.some(domain => host === domain || host.endsWith(`.${domain}`));
   } catch {
     return false;
   }
@@ -107,43 +175,43 @@ function cleanVideoUrl(input) {
   }
 }
 
-// Replace runYtDlp with a version that logs sanitized commands + stderr for easier debugging
-function sanitizeArgsForLog(args) {
-  const masked = [];
-  for (let i = 0; i < args.length; i++) {
-    const a = args[i];
-    if (a === '--cookies' || a === '--proxy' || a === '--cookies-from-browser') {
-      const next = args[i + 1];
-      masked.push(a);
-      if (next) {
-        // mask sensitive value but keep host/port visible when proxy (attempt)
-        if (a === '--proxy' && typeof next === 'string') {
-          try {
-            const u = new URL(next);
-            const port = u.port || (u.protocol === 'http:' ? '80' : (u.protocol === 'https:' ? '443' : ''));
-            masked.push(`${u.protocol}//${u.hostname}:${port}`);
-          } catch (e) {
-            masked.push('[masked-proxy]');
-          }
-        } else {
-          masked.push('[masked]');
-        }
-        i++; // skip the next arg since we've logged it
-      }
-    } else {
-      masked.push(a);
+// Playlist URL for batch mode: a watch URL carrying &list= becomes the playlist itself
+function toPlaylistUrl(input) {
+  const raw = String(input || '').trim();
+  try {
+    const u = new URL(raw);
+    const host = u.hostname.toLowerCase();
+    const list = u.searchParams.get('list');
+    if ((host.includes('youtube') || host === 'youtu.be') && list) {
+      return `https://www.youtube.com/playlist?list=${encodeURIComponent(list)}`;
     }
+    return raw;
+  } catch {
+    return raw;
   }
-  return masked.join(' ');
 }
 
-function runYtDlp(args, cwd = '/tmp') {
+// Cookies/proxy args shared by yt-dlp invocations outside the download layers
+function ytdlpAuthArgs() {
+  const args = [];
+  if (process.env.YTDLP_COOKIES) args.push('--cookies', process.env.YTDLP_COOKIES);
+  else if (process.env.YTDLP_BROWSER) args.push('--cookies-from-browser', process.env.YTDLP_BROWSER);
+  if (process.env.YTDLP_PROXY) args.push('--proxy', process.env.YTDLP_PROXY);
+  return args;
+}
+
+// onPercent (optional) receives download percentages parsed from yt-dlp's progress lines.
+// signal (optional) kills the process; the promise then rejects with the abort reason once it has exited
+function runYtDlp(args, cwd = WORK_DIR, onPercent = null, signal = null) {
   return new Promise((resolve, reject) => {
+    if (onPercent) args = ['--newline', ...args];
+    const readProgress = onPercent ? createYtdlpProgressReader(onPercent) : null;
+
     try {
-      console.log('yt-dlp ->', sanitizeArgsForLog(args));
+      log.info('yt-dlp', { args: sanitizeArgsForLog(args) });
     } catch (e) { /* ignore logging errors */ }
 
-    const proc = spawn('yt-dlp', args, { cwd });
+    const proc = spawn('yt-dlp', args, { cwd, ...(signal ? { signal } : {}) });
 
     let stdout = '';
     let stderr = '';
@@ -151,6 +219,7 @@ function runYtDlp(args, cwd = '/tmp') {
     proc.stdout.on('data', chunk => {
       const s = chunk.toString();
       stdout += s;
+      if (readProgress) readProgress(s);
     });
 
     proc.stderr.on('data', chunk => {
@@ -158,13 +227,16 @@ function runYtDlp(args, cwd = '/tmp') {
       stderr += s;
     });
 
-    proc.on('error', err => reject(err));
+    proc.on('error', err => {
+      if (!(signal && signal.aborted)) reject(err);
+    });
     proc.on('close', code => {
+      if (signal && signal.aborted) return reject(signal.reason);
       if (code === 0) return resolve({ stdout, stderr });
       // Log full stderr (trimmed) for debugging
       try {
-        console.warn('yt-dlp failed (code %d). stderr:', code, stderr.toString().trim().slice(0, 1000));
-        if (stdout && stdout.trim()) console.warn('yt-dlp stdout (trim):', stdout.toString().trim().slice(0, 1000));
+        log.warn('yt-dlp failed (code %d). stderr:', code, stderr.toString().trim().slice(0, 1000));
+        if (stdout && stdout.trim()) log.warn('yt-dlp stdout (trim):', stdout.toString().trim().slice(0, 1000));
       } catch (e) { /* ignore logging errors */ }
 
       const err = new Error(`yt-dlp exit ${code}: ${stderr || stdout}`);
@@ -176,13 +248,26 @@ function runYtDlp(args, cwd = '/tmp') {
   });
 }
 
-// New helper: stream yt-dlp -> ffmpeg to produce an MP3 without writing the source file
-async function streamYtdlpToFfmpeg(cleanedUrl, ytFormat, outputPath, isPremium, ytExtraArgs = [], playerClient = 'web') {
-  return new Promise((resolve, reject) => {
+// New helper: stream yt-dlp -> ffmpeg to produce the output audio without writing the source file
+// options: { format, onProgress, durationSec, loudnorm, signal } — progress is reported for both download and encode,
+// signal kills both processes
+// Resolves with { loudness } like convertToMp3Ultimate
+async function streamYtdlpToFfmpeg(cleanedUrl, ytFormat, outputPath, tier, ytExtraArgs = [], playerClient = 'web', options = {}) {
+  const outputFormat = options.format || 'mp3';
+  const onProgress = options.onProgress || null;
+  // loudnorm needs two passes over the audio, so with normalization the stream lands in a
+  // lossless intermediate first and convertToMp3Ultimate measures + encodes from there
+  const streamFormat = options.loudnorm ? 'flac' : outputFormat;
+  const streamPath = options.loudnorm ? `${outputPath}.source.flac` : outputPath;
+  const signal = options.signal || null;
+  const killOptions = signal ? { signal } : {};
+
+  await new Promise((resolve, reject) => {
     // build yt-dlp args that write media to stdout
     const ytdlpArgs = [
       '--no-playlist',
       '--no-warnings',
+      '--newline',
       '-f', ytFormat,
       '-o', '-', // stream to stdout
       // keep extractor client minimal; caller may append extractor args if needed
@@ -191,35 +276,36 @@ async function streamYtdlpToFfmpeg(cleanedUrl, ytFormat, outputPath, isPremium,
     ];
 
     // spawn yt-dlp
-    const ytdlp = spawn('yt-dlp', ytdlpArgs, { stdio: ['ignore', 'pipe', 'pipe'] });
+    log.info('yt-dlp (piped)', { args: sanitizeArgsForLog(ytdlpArgs) });
+    const ytdlp = spawn('yt-dlp', ytdlpArgs, { stdio: ['ignore', 'pipe', 'pipe'], ...killOptions });
 
-    // choose bitrate/quality consistent with convertToMp3Ultimate
-    const bitrate = isPremium ? '192k' : '96k';
-    const quality = isPremium ? '2' : '6';
-
-    // spawn ffmpeg to read from stdin and write mp3
+    // spawn ffmpeg to read from stdin; codec/bitrate come from the same preset as convertToMp3Ultimate
     const ffmpegArgs = [
       '-hide_banner',
       '-loglevel', 'error',
       '-i', 'pipe:0',
       '-vn', '-sn', '-dn',
       '-map', '0:a:0',
-      '-c:a', 'libmp3lame',
-      '-b:a', bitrate,
-      '-ar', '44100',
-      '-ac', '2',
-      '-compression_level', '0',
-      '-q:a', quality,
-      '-write_xing', '0',
-      '-id3v2_version', '0',
-      '-f', 'mp3',
+      ...getFormatPreset(streamFormat).encoderArgs(tier),
+      ...(onProgress ? ['-progress', 'pipe:1', '-nostats'] : []),
       '-y',
-      outputPath
+      streamPath
     ];
-    const ff = spawn('ffmpeg', ffmpegArgs, { stdio: ['pipe', 'pipe', 'pipe'] });
+    log.info('ffmpeg (piped)', { args: sanitizeArgsForLog(ffmpegArgs) });
+    const ff = spawn('ffmpeg', ffmpegArgs, { stdio: ['pipe', 'pipe', 'pipe'], ...killOptions });
+
+    if (onProgress) {
+      // with -o - yt-dlp prints its progress on stderr
+      const readDownload = createYtdlpProgressReader(percent => onProgress({ type: 'progress', phase: 'download', percent }));
+      const readConvert = createFfmpegProgressReader(options.durationSec || 0, percent => onProgress({ type: 'progress', phase: 'convert', percent }));
+      ytdlp.stderr.on('data', readDownload);
+      ff.stdout.on('data', readConvert);
+    }
 
     // pipe yt-dlp stdout into ffmpeg stdin
     ytdlp.stdout.pipe(ff.stdin);
+    // EPIPE once ffmpeg has exited (failed or killed); its close handler reports why
+    ff.stdin.on('error', () => {});
 
     let ffErr = '';
     ff.stderr.on('data', (b) => { ffErr += b.toString(); });
@@ -231,19 +317,23 @@ async function streamYtdlpToFfmpeg(cleanedUrl, ytFormat, outputPath, isPremium,
     ff.on('close', (code) => {
       // ensure yt-dlp process is terminated
       try { ytdlp.kill(); } catch (e) {}
+      if (signal && signal.aborted) return reject(signal.reason);
       if (code === 0) return resolve();
       const msg = ffErr || ytdlpErr || `ffmpeg exited ${code}`;
-      reject(new Error(`PIPED_FAILED: ${msg}`));
+      const err = new Error(`PIPED_FAILED: ${msg}`);
+      err.stderr = ytdlpErr;
+      reject(err);
     });
 
+    // aborts also arrive here; they are reported from ffmpeg's close handler
     ff.on('error', (e) => {
       try { ytdlp.kill(); } catch (er) {}
-      reject(e);
+      if (!(signal && signal.aborted)) reject(e);
     });
 
     ytdlp.on('error', (e) => {
       try { ff.kill(); } catch (er) {}
-      reject(e);
+      if (!(signal && signal.aborted)) reject(e);
     });
 
     // safety: if yt-dlp exits early with non-zero, capture that
@@ -254,49 +344,80 @@ async function streamYtdlpToFfmpeg(cleanedUrl, ytFormat, outputPath, isPremium,
       }
     });
   });
+
+  if (!options.loudnorm) return { loudness: null };
+  try {
+    return await convertToMp3Ultimate(streamPath, outputPath, tier, outputFormat, {
+      loudnorm: options.loudnorm,
+      durationSec: options.durationSec,
+      onProgress,
+      signal
+    });
+  } finally {
+    try { fs.unlinkSync(streamPath); } catch (e) { /* ignore */ }
+  }
 }
 
 // ULTIMATE yt-dlp download with multi-layer fallback for all users
-async function downloadVideoWithYtdlpUltimate(videoUrl, outputDir, isPremium) {
+async function downloadVideoWithYtdlpUltimate(videoUrl, outputDir, tier, opts = {}) {
+  const onStatus = opts.onStatus || (() => {});
+  const onInfo = opts.onInfo || (() => {});
+  const onLoudness = opts.onLoudness || (() => {});
+  const loudnorm = opts.loudnorm || null;
+  const onProgress = opts.onProgress || (() => {});
+  const signal = opts.signal || null;
+  const reportPercent = (percent) => onProgress({ type: 'progress', phase: 'download', percent });
+  const reportLayer = (layer, name) => {
+    recordLayerAttempt(layer, name);
+    onProgress({ type: 'phase', phase: 'download', layer, name });
+  };
+  const outputFormat = opts.format || 'mp3';
+  const preset = getFormatPreset(outputFormat);
+  let clip = opts.clip || null;
   const videoId = uuidv4();
   const outputTemplate = `${outputDir}/ytdlp_${videoId}.%(ext)s`;
   const cleanedUrl = cleanVideoUrl(videoUrl);
 
   try {
-    console.log('DEBUG download:', cleanedUrl);
+    log.debug('Download:', cleanedUrl);
 
     // NEW: quick metadata probe to pick a faster format for short videos
     let preferM4aForShort = false;
     let probedDurationSec = 0; // duration exposed for long-video decision
     try {
-      console.log('Probing video metadata (fast)...');
-      const probe = await runYtDlp(['--no-warnings', '--skip-download', '--dump-json', cleanedUrl], '/tmp');
-      // --dump-json may output multiple lines (playlist etc.) — parse first JSON line
-      const firstLine = (probe.stdout || '').split('\n').find(l => l.trim().length > 0);
-      if (firstLine) {
-        try {
-          const info = JSON.parse(firstLine);
-          const durationSec = Number(info.duration || info._duration || 0);
-          probedDurationSec = !isNaN(durationSec) ? durationSec : 0;
-          console.log('Probed duration (s):', probedDurationSec);
-          // If very short (less than 2 minutes) prefer compact m4a stream
-          if (probedDurationSec > 0 && probedDurationSec <= 120) {
-            preferM4aForShort = true;
-            console.log('Short video detected — enabling fast format preference (m4a/abr cap).');
-          }
-        } catch (e) {
-          // ignore parse errors, continue with defaults
-          console.warn('Failed to parse yt-dlp probe JSON:', e.message);
-        }
+      log.info('Probing video metadata (fast)...');
+      onProgress({ type: 'phase', phase: 'probe' });
+      // shared with GET /info and other recent requests for the same URL
+      const { info, cached } = await videoInfoCache.get(cleanedUrl, { signal }).finally(timePhase('probe'));
+      if (cached) log.info('Using cached video metadata');
+      onInfo(info);
+      const durationSec = Number(info.duration || info._duration || 0);
+      probedDurationSec = !isNaN(durationSec) ? durationSec : 0;
+      log.info('Probed duration (s):', probedDurationSec);
+      // If very short (less than 2 minutes) prefer compact m4a stream
+      if (probedDurationSec > 0 && probedDurationSec <= 120) {
+        preferM4aForShort = true;
+        log.info('Short video detected — enabling fast format preference (m4a/abr cap).');
       }
     } catch (probeErr) {
+      if (signal && signal.aborted) throw signal.reason;
       // Probe failed — not fatal, continue with normal flow
-      console.warn('Metadata probe failed (continuing):', probeErr.message);
+      log.warn('Metadata probe failed (continuing):', probeErr.message);
     }
 
-    // LAYER 1: Web client with optimized settings (no PO Token needed)
-    // choose a slightly different format string when preferring m4a for speed
-    const formatString = isPremium
+    // Clip requests: reject offsets past the end, drop an end beyond the video length
+    clip = fitClipToDuration(clip, probedDurationSec);
+    const clipArgs = clip ? ['--download-sections', `*${formatClipRange(clip)}`] : [];
+    // seconds of audio we expect to encode, drives ffmpeg progress percentages
+    const expectedDurationSec = clip
+      ? (clip.end !== null ? clip.end : probedDurationSec) - clip.start
+      : probedDurationSec;
+    if (clip) log.info(`Downloading clip only: ${formatClipRange(clip)}`);
+    assertWithinDurationLimit(tier, expectedDurationSec);
+
+    // Per-request choices behind the "auto" format/player client of the strategies:
+    // a slightly different format string when preferring m4a for speed
+    const formatString = tier.sourceQuality === 'best'
       ? 'bestaudio/best'
       : (preferM4aForShort ? 'bestaudio[ext=m4a][abr<=160]/bestaudio[abr<=128]/bestaudio/best' : 'bestaudio[abr<=128]/bestaudio/best');
 
@@ -314,351 +435,198 @@ async function downloadVideoWithYtdlpUltimate(videoUrl, outputDir, isPremium) {
       const LONG_VIDEO_THRESHOLD = Number(process.env.LONG_VIDEO_THRESHOLD || 600); // seconds
       if (probedDurationSec >= LONG_VIDEO_THRESHOLD) {
         playerClient = 'web_safari';
-        console.log(`Long video detected (${probedDurationSec}s) — using web_safari as primary client`);
+        log.info(`Long video detected (${probedDurationSec}s) — using web_safari as primary client`);
       }
     }
-    console.log(`Using primary yt-dlp player_client: ${playerClient}`);
-
-    const baseArgs = [
-      '--no-playlist',
-      '-x', '--audio-format', 'mp3',
-      '--format', formatString,
-      '--output', outputTemplate,
-      '--no-mtime',
-
-      // Use selected client to avoid PO Token requirement
-      '--extractor-args', `youtube:player_client=${playerClient}`,
-
-      // Anti-bot detection headers
-      '--user-agent', 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36',
-      '--referer', 'https://www.youtube.com/',
-      '--add-header', 'Accept-Language:en-US,en;q=0.9',
-      '--add-header', 'Accept:text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-      '--add-header', 'Sec-Fetch-Site:none',
-      '--add-header', 'Sec-Fetch-Mode:navigate',
-      '--add-header', 'Sec-Fetch-Dest:document',
-
-      cleanedUrl
-    ];
-
-    const extraArgs = [];
+    log.info(`Using primary yt-dlp player_client: ${playerClient}`);
 
-    // Use cookies.txt file if YTDLP_COOKIES env var is set
+    // cookies/proxy go to every strategy
+    const authArgs = ytdlpAuthArgs();
     if (process.env.YTDLP_COOKIES) {
-      extraArgs.push('--cookies', process.env.YTDLP_COOKIES);
-      console.log('Using cookies from file:', process.env.YTDLP_COOKIES);
-    }
-    // Only try browser extraction if explicitly enabled
-    else if (process.env.YTDLP_BROWSER) {
-      const browser = process.env.YTDLP_BROWSER;
-      extraArgs.push('--cookies-from-browser', browser);
-      console.log(`Attempting to use cookies from ${browser} browser`);
-    }
-    else {
-      console.log('No cookies configured. Relying on multi-layer fallback system.');
+      log.info('Using cookies from file:', process.env.YTDLP_COOKIES);
+    } else if (process.env.YTDLP_BROWSER) {
+      log.info(`Attempting to use cookies from ${process.env.YTDLP_BROWSER} browser`);
+    } else {
+      log.info('No cookies configured. Relying on multi-layer fallback system.');
     }
 
-    if (process.env.YTDLP_PROXY) extraArgs.push('--proxy', process.env.YTDLP_PROXY);
+    const strategyRequest = {
+      url: cleanedUrl,
+      outputTemplate,
+      audioFormat: preset.ytdlpAudioFormat,
+      format: formatString,
+      playerClient,
+      clipArgs,
+      authArgs
+    };
+    const pipedOutputPath = `${outputDir}/ytdlp_${videoId}.${preset.ext}`;
+    const endDownload = timePhase('download');
 
-    // Keep track of last yt-dlp error to decide on special HLS retry
+    // Strategies run in the configured order until one produces audio (see downloadStrategies.js)
+    let winner = null;
     let lastYtdlpError = null;
-
-    // Decide if we should attempt the piped fast path:
-    // - opt-in via ENABLE_PIPE=1, or
-    // - automatically for short videos (preferM4aForShort = true)
-    const enablePipe = process.env.ENABLE_PIPE === '0' ? false : true;
-    if (enablePipe) console.log('Fast piped yt-dlp->ffmpeg path ENABLED for this request (can be disabled with ENABLE_PIPE=0)');
-
-    if (enablePipe) {
-      const pipedMp3Path = `${outputDir}/ytdlp_${videoId}.mp3`;
-      // prepare yt-dlp extra args (cookies/proxy) to forward to the piped run
-      const ytExtraArgsForPipe = [];
-      if (process.env.YTDLP_COOKIES) ytExtraArgsForPipe.push('--cookies', process.env.YTDLP_COOKIES);
-      else if (process.env.YTDLP_BROWSER) ytExtraArgsForPipe.push('--cookies-from-browser', process.env.YTDLP_BROWSER);
-      if (process.env.YTDLP_PROXY) ytExtraArgsForPipe.push('--proxy', process.env.YTDLP_PROXY);
-
-      try {
-        console.log('Attempting fast piped yt-dlp -> ffmpeg path (no intermediate file)...');
-        // note: pass formatString (we built earlier) as ytFormat
-        await streamYtdlpToFfmpeg(cleanedUrl, formatString, pipedMp3Path, isPremium, ytExtraArgsForPipe, playerClient);
-        console.log('SUCCESS: piped yt-dlp->ffmpeg produced MP3:', pipedMp3Path);
-        return pipedMp3Path;
-      } catch (pipeErr) {
-        console.warn('Piped fast path failed, falling back to layered approach:', pipeErr.message);
-        // fall-through to existing layered attempts
-      }
-    }
-
-    // Try first attempt
     try {
-      await runYtDlp([...baseArgs, ...extraArgs], '/tmp');
-      console.log('SUCCESS: Primary method worked!');
-    } catch (firstErr) {
-      console.warn('Layer 1 failed:', firstErr.message);
-      lastYtdlpError = firstErr;
-
-      // LAYER 2: TV embedded client (no PO Token, works with proxy)
-      console.log('Trying Layer 2: TV embedded client fallback...');
-      try {
-        const tvFallback = [
-          '--no-playlist',
-          '-x', '--audio-format', 'mp3',
-          '--format', 'bestaudio/best',
-          '--output', outputTemplate,
-          '--extractor-args', 'youtube:player_client=tv_embedded',
-          '--user-agent', 'Mozilla/5.0 (PlayStation; PlayStation 5/2.26) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/13.0 Safari/605.1.15',
-          cleanedUrl
-        ];
-
-        if (process.env.YTDLP_COOKIES) tvFallback.push('--cookies', process.env.YTDLP_COOKIES);
-        if (process.env.YTDLP_PROXY) tvFallback.push('--proxy', process.env.YTDLP_PROXY);
-
-        await runYtDlp(tvFallback, '/tmp');
-        console.log('SUCCESS: TV embedded client fallback worked!');
-        lastYtdlpError = null;
-      } catch (tvErr) {
-        console.warn('Layer 2 failed:', tvErr.message);
-        lastYtdlpError = tvErr;
-
-        // LAYER 3: Web Safari client (alternative web client)
-        console.log('Trying Layer 3: Web Safari client fallback...');
-        try {
-          const safariFallback = [
-            '--no-playlist',
-            '-x', '--audio-format', 'mp3',
-            '--format', 'bestaudio/best',
-            '--output', outputTemplate,
-            '--extractor-args', 'youtube:player_client=web_safari',
-            '--user-agent', 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Safari/605.1.15',
-            cleanedUrl
-          ];
-
-          if (process.env.YTDLP_COOKIES) safariFallback.push('--cookies', process.env.YTDLP_COOKIES);
-          if (process.env.YTDLP_PROXY) safariFallback.push('--proxy', process.env.YTDLP_PROXY);
-
-          await runYtDlp(safariFallback, '/tmp');
-          console.log('SUCCESS: Web Safari client fallback worked!');
-          lastYtdlpError = null;
-        } catch (safariErr) {
-          console.warn('Layer 3 failed:', safariErr.message);
-          lastYtdlpError = safariErr;
-
-          // LAYER 4: Web embedded player (last resort, no PO Token)
-          console.log('Trying Layer 4: Web embedded player fallback...');
-          const embeddedFallback = [
-            '--no-playlist',
-            '-x', '--audio-format', 'mp3',
-            '--format', 'bestaudio/best',
-            '--output', outputTemplate,
-            '--extractor-args', 'youtube:player_client=web_embedded',
-            '--user-agent', 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36',
-            '--geo-bypass',
-            '--retries', '5',
-            '--fragment-retries', '5',
-            cleanedUrl
-          ];
-
-          if (process.env.YTDLP_COOKIES) embeddedFallback.push('--cookies', process.env.YTDLP_COOKIES);
-          if (process.env.YTDLP_PROXY) embeddedFallback.push('--proxy', process.env.YTDLP_PROXY);
-
-          await runYtDlp(embeddedFallback, '/tmp');
-          console.log('SUCCESS: Web embedded fallback worked!');
-          lastYtdlpError = null;
+      winner = await runStrategies({ platform: platformOf(cleanedUrl), durationSec: probedDurationSec, signal }, async (step, position, stepSignal) => {
+        reportLayer(position, step.name);
+        if (step.mode === 'pipe') {
+          const piped = await streamYtdlpToFfmpeg(cleanedUrl, strategyFormat(step, strategyRequest), pipedOutputPath, tier,
+            buildStrategyArgs(step, strategyRequest), playerClient, {
+              format: outputFormat,
+              onProgress,
+              durationSec: expectedDurationSec,
+              loudnorm,
+              signal: stepSignal
+            });
+          if (piped.loudness) onLoudness(piped.loudness);
+          return pipedOutputPath;
         }
-      }
+        await runYtDlp(buildStrategyArgs(step, strategyRequest), WORK_DIR, reportPercent, stepSignal);
+        return null;
+      });
+    } catch (strategyErr) {
+      if (signal && signal.aborted) throw signal.reason;
+      lastYtdlpError = strategyErr;
     }
 
-    // SPECIAL RETRY: HLS/FFmpeg URL parsing errors sometimes need mpegts or prefer-ffmpeg.
-    // If the last yt-dlp run failed and stderr mentions ffmpeg URL parsing issues, retry with HLS-friendly flags.
-    if (lastYtdlpError && typeof lastYtdlpError.stderr === 'string') {
-      const stderr = lastYtdlpError.stderr;
-      const needsHlsRetry =
-        stderr.includes('Port missing in uri') ||
-        stderr.includes('Invalid argument') ||
-        stderr.includes('ERROR: ffmpeg exited with code 1') ||
-        stderr.includes('ffmpeg exited with code 1');
-
-      if (needsHlsRetry) {
-        console.log('Detected ffmpeg/HLS parsing issue, retrying with HLS-friendly flags (mpegts / prefer-ffmpeg)...');
-        try {
-          const hlsArgs = [
-            '--no-playlist',
-            '-x', '--audio-format', 'mp3',
-            '--format', 'bestaudio/best',
-            '--output', outputTemplate,
-            '--hls-use-mpegts',
-            '--hls-prefer-ffmpeg',
-            '--allow-unplayable-formats',
-            '--geo-bypass',
-            cleanedUrl
-          ];
-          if (process.env.YTDLP_COOKIES) hlsArgs.push('--cookies', process.env.YTDLP_COOKIES);
-          if (process.env.YTDLP_PROXY) hlsArgs.push('--proxy', process.env.YTDLP_PROXY);
-
-          await runYtDlp(hlsArgs, '/tmp');
-          console.log('SUCCESS: HLS-friendly retry worked!');
-          lastYtdlpError = null;
-        } catch (hlsErr) {
-          console.warn('HLS-friendly retry failed:', hlsErr.message);
-          lastYtdlpError = hlsErr;
-        }
-      }
+    if (winner && winner.step.mode === 'pipe') {
+      log.info(`SUCCESS: piped yt-dlp->ffmpeg produced ${preset.ext.toUpperCase()}:`, winner.result);
+      endDownload();
+      recordLayerSuccess(winner.position, winner.step.name);
+      return winner.result;
     }
 
     // Find generated file
     const allFiles = fs.readdirSync(outputDir);
     const files = allFiles.filter(f =>
       f.startsWith(`ytdlp_${videoId}.`) &&
-      (f.endsWith('.mp3') || f.endsWith('.webm') || f.endsWith('.m4a') || f.endsWith('.wav') || f.endsWith('.aac'))
+      SOURCE_AUDIO_EXTENSIONS.includes(path.extname(f).slice(1))
     );
 
-    console.log(`Looking for files with prefix: ytdlp_${videoId}`);
-    console.log('Found files:', files);
+    log.info(`Looking for files with prefix: ytdlp_${videoId}`);
+    log.info('Found files:', files);
 
     if (!files || files.length === 0) {
-      // If we have a stored yt-dlp error, throw it so existing error mapping runs
-      if (lastYtdlpError) {
-        throw lastYtdlpError;
-      }
-      throw new Error('DOWNLOAD_FAILED: yt-dlp did not produce an output file. The video may be unavailable, region-locked, require login, or yt-dlp failed.');
+      // every strategy failed: the last one's stderr says why
+      if (lastYtdlpError) throw classifyDownloadError(lastYtdlpError);
+      throw serviceError('DOWNLOAD_FAILED', 'yt-dlp did not produce an output file. The video may be unavailable, region-locked, require login, or yt-dlp failed.');
     }
 
-    // Prefer mp3 if already produced, otherwise convert first matched file to mp3
-    let finalFile = files.find(f => f.endsWith('.mp3')) || files[0];
+    endDownload();
+    if (winner) recordLayerSuccess(winner.position, winner.step.name);
+
+    // Prefer the requested format if already produced, otherwise convert first matched file
+    let finalFile = files.find(f => f.endsWith(`.${preset.ext}`)) || files[0];
     let finalPath = `${outputDir}/${finalFile}`;
 
-    if (!finalPath.endsWith('.mp3')) {
-      // Convert to mp3
-      const mp3Path = finalPath.replace(/\.(webm|m4a|wav|aac)$/, '.mp3');
-      await convertToMp3Ultimate(finalPath, mp3Path, isPremium);
+    // normalization always needs our own encode, even when yt-dlp already produced the format
+    if (!finalPath.endsWith(`.${preset.ext}`) || loudnorm) {
+      const convertedPath = finalPath.endsWith(`.${preset.ext}`)
+        ? `${outputDir}/ytdlp_${videoId}_normalized.${preset.ext}`
+        : `${outputDir}/ytdlp_${videoId}.${preset.ext}`;
+      onStatus('converting');
+      onProgress({ type: 'phase', phase: 'convert' });
+      const converted = await convertToMp3Ultimate(finalPath, convertedPath, tier, outputFormat, {
+        durationSec: expectedDurationSec,
+        onProgress,
+        loudnorm,
+        signal
+      });
+      if (converted.loudness) onLoudness(converted.loudness);
       try { fs.unlinkSync(finalPath); } catch (e) { /* ignore */ }
-      finalPath = mp3Path;
+      finalPath = convertedPath;
     }
 
-    console.log('DEBUG downloaded:', finalPath);
+    log.debug('Downloaded:', finalPath);
     return finalPath;
 
   } catch (error) {
-    console.error('yt-dlp error:', error);
-    const msg = error.message || String(error);
-
-    // User-friendly error messages
-    if (msg.includes('Sign in to confirm') || (msg.includes('Sign in') && msg.includes('bot'))) {
-      throw new Error(
-        'VIDEO_RATE_LIMITED: YouTube is rate limiting requests from this server. ' +
-        'Please try a different video or try again in a few minutes. If this persists, contact support.'
-      );
-    }
-
-    // Vimeo login required
-    if (msg.includes('vimeo') && (msg.includes('logged-in') || msg.includes('authentication') || msg.includes('Use --cookies'))) {
-      throw new Error(
-        'VIDEO_REQUIRES_AUTH: This Vimeo video requires authentication. ' +
-        'Vimeo has restricted access to most videos. Please try a different platform.'
-      );
-    }
-
-    if (msg.includes('sqlite3') || msg.includes('Cookies.sqlite') || (msg.includes('cookie') && msg.includes('database'))) {
-      throw new Error(
-        'VIDEO_UNAVAILABLE: Unable to download this video at the moment. ' +
-        'Please try a different video or try again later.'
-      );
-    }
-
-    // Only throw specific errors - most errors should have been handled by fallback layers
-    if (msg.includes('This video is private') || msg.includes('Private video')) {
-      throw new Error('VIDEO_PRIVATE: This video is private and cannot be downloaded.');
-    } else if (msg.includes('age') && (msg.includes('restricted') || msg.includes('confirm your age'))) {
-      throw new Error('VIDEO_AGE_RESTRICTED: This video is age-restricted and requires authentication.');
-    } else if (msg.includes('members-only') || msg.includes('Join this channel')) {
-      throw new Error('VIDEO_MEMBERS_ONLY: This video is for channel members only.');
-    } else if (msg.includes('copyright') && msg.includes('blocked')) {
-      throw new Error('VIDEO_COPYRIGHT: This video is blocked due to copyright restrictions.');
-    } else if (msg.includes('HTTP Error 429')) {
-      throw new Error('RATE_LIMITED: Too many requests. Please try again in a few minutes.');
-    } else if (msg.includes('all 4 layers failed')) {
-      // All layers truly failed - this is a real issue
-      throw new Error('DOWNLOAD_FAILED: Unable to download this video after trying multiple methods. Some videos cannot be converted due to platform restrictions. Please try a different video.');
-    } else {
-      // Generic failure - but this should rarely happen since fallbacks should catch most issues
-      throw new Error(`VIDEO_UNAVAILABLE: This video cannot be downloaded. It may be unavailable, deleted, region-restricted, or require special authentication. This is normal for some videos - please try a different one.`);
+    log.error('yt-dlp error:', error);
+    // partial downloads (.part, .webm, ...) of a failed attempt are never picked up again
+    for (const name of fs.readdirSync(outputDir).filter(f => f.startsWith(`ytdlp_${videoId}`))) {
+      try { fs.unlinkSync(path.join(outputDir, name)); } catch (e) { /* ignore */ }
     }
+    throw error;
   }
 }
 
-async function downloadDirectVideo(videoUrl, outputPath) {
-  try {
-    const axiosOptions = {
-      method: 'GET',
-      url: videoUrl,
-      responseType: 'stream',
-      timeout: 120000,
-      maxRedirects: 5,
-      maxContentLength: Infinity,
-      maxBodyLength: Infinity
+// Plain file URLs: address/size/content checks live in directDownload.js
+async function downloadDirectVideo(videoUrl, outputPath, tier, signal = null) {
+  let proxy = null;
+  // If YTDLP_PROXY is set and parsed successfully, tell axios to use it
+  if (PROXY_CONFIG) {
+    // axios expects numeric port
+    proxy = {
+      protocol: PROXY_CONFIG.protocol,
+      host: PROXY_CONFIG.host,
+      port: Number(PROXY_CONFIG.port)
     };
-
-    // If YTDLP_PROXY is set and parsed successfully, tell axios to use it
-    if (PROXY_CONFIG) {
-      // axios expects numeric port
-      axiosOptions.proxy = {
-        protocol: PROXY_CONFIG.protocol,
-        host: PROXY_CONFIG.host,
-        port: Number(PROXY_CONFIG.port)
+    if (PROXY_CONFIG.auth) {
+      proxy.auth = {
+        username: PROXY_CONFIG.auth.username,
+        password: PROXY_CONFIG.auth.password
       };
-      if (PROXY_CONFIG.auth) {
-        axiosOptions.proxy.auth = {
-          username: PROXY_CONFIG.auth.username,
-          password: PROXY_CONFIG.auth.password
-        };
-      }
-    } else if (process.env.HTTP_PROXY || process.env.HTTPS_PROXY) {
-      // If system HTTP(S)_PROXY env vars are set, axios will use them automatically in many environments;
-      // we leave them alone so container-level proxy can work without code changes.
     }
+  }
+  // system HTTP(S)_PROXY env vars are picked up by axios itself, so container-level proxies keep working
+  const { bytes, contentType } = await downloadDirectFile(videoUrl, outputPath, { maxMb: tier.maxDownloadMb, proxy, signal });
+  log.info(`Direct download: ${formatSize(bytes)}${contentType ? ` (${contentType})` : ''}`);
 
-    const response = await axios(axiosOptions);
-
-    const writer = fs.createWriteStream(outputPath);
-    response.data.pipe(writer);
-
-    return new Promise((resolve, reject) => {
-      writer.on('finish', resolve);
-      writer.on('error', reject);
-    });
-  } catch (error) {
-    throw new Error(`Direct download failed: ${error.message}`);
+  // the content checks only rule out web pages; ffprobe decides whether there is audio to convert
+  if (!(await hasAudioStream(outputPath))) {
+    throw serviceError('INVALID_MEDIA', 'The file at this URL has no audio track or is not a supported media file.');
   }
 }
 
 // ULTIMATE: Direct FFmpeg spawn for maximum speed
-function convertToMp3Ultimate(inputPath, outputPath, isPremium) {
-  return new Promise((resolve, reject) => {
-    const label = isPremium ? 'ULTIMATE PREMIUM' : 'ULTRA-FAST';
-    console.log(`${label} conversion...`);
+// (despite the name, encodes to any preset from formats.js — mp3 by default)
+// options.clip ({ start, end }) uses fast input seeking so only the clip is decoded
+// options.onProgress + options.durationSec report encode percentages from ffmpeg's -progress output
+// options.loudnorm (target from loudness.js) runs a measurement pass first, then normalizes while encoding
+// options.signal kills ffmpeg (both passes); the promise rejects with the abort reason
+// Resolves with { loudness } (null unless normalization was requested)
+async function convertToMp3Ultimate(inputPath, outputPath, tier, format = 'mp3', options = {}) {
+  const signal = options.signal || null;
+  const label = tier.sourceQuality === 'best' ? `ULTIMATE ${tier.name.toUpperCase()}` : 'ULTRA-FAST';
+
+  const clip = options.clip;
+  const seekArgs = clip && clip.start > 0 ? ['-ss', String(clip.start)] : [];
+  const lengthArgs = clip && clip.end !== null ? ['-t', String(clip.end - clip.start)] : [];
+
+  let measured = null;
+  if (options.loudnorm) {
+    log.info(`Measuring loudness (${formatLoudnessTarget(options.loudnorm)})...`);
+    if (options.onProgress) options.onProgress({ type: 'phase', phase: 'loudness' });
+    measured = await measureLoudness(inputPath, options.loudnorm, seekArgs, lengthArgs, signal);
+    if (measured) log.info(`Measured input loudness: ${measured.input_i} LUFS, true peak ${measured.input_tp} dBTP`);
+    else log.warn('Loudness could not be measured (silent input?), skipping normalization');
+  }
+  const filterArgs = measured ? ['-af', buildLoudnormFilter(options.loudnorm, measured)] : [];
 
-    const bitrate = isPremium ? '192k' : '96k';   // Faster for standard users
-    const quality = isPremium ? '2' : '6';        // Lower quality = faster conversion
+  const endConvert = timePhase('convert');
+  await new Promise((resolve, reject) => {
+    log.info(`${label} ${format.toUpperCase()} conversion...`);
 
     const ffmpeg = spawn('ffmpeg', [
       '-threads', '0',
+      ...seekArgs,
       '-i', inputPath,
+      ...lengthArgs,
       '-vn',
       '-sn',
       '-dn',
       '-map', '0:a:0',
-      '-c:a', 'libmp3lame',
-      '-b:a', bitrate,
-      '-ar', '44100',
-      '-ac', '2',
-      '-compression_level', '0',
-      '-q:a', quality,
-      '-write_xing', '0',
-      '-id3v2_version', '0',
-      '-f', 'mp3',
+      ...filterArgs,
+      ...getFormatPreset(format).encoderArgs(tier),
+      ...(options.onProgress ? ['-progress', 'pipe:1', '-nostats'] : []),
       '-y',
       outputPath
-    ]);
+    ], signal ? { signal } : {});
+
+    if (options.onProgress) {
+      ffmpeg.stdout.on('data', createFfmpegProgressReader(options.durationSec || 0, (percent) => {
+        options.onProgress({ type: 'progress', phase: 'convert', percent });
+      }));
+    }
 
     let stderr = '';
     ffmpeg.stderr.on('data', (data) => {
@@ -666,15 +634,78 @@ function convertToMp3Ultimate(inputPath, outputPath, isPremium) {
     });
 
     ffmpeg.on('close', (code) => {
-      if (code === 0) {
-        console.log(`${label} conversion done!`);
+      if (signal && signal.aborted) {
+        reject(signal.reason);
+      } else if (code === 0) {
+        log.info(`${label} conversion done!`);
         resolve();
       } else {
-        reject(new Error(`FFmpeg failed: ${stderr}`));
+        reject(classifyFfmpegError(stderr));
       }
     });
 
-    ffmpeg.on('error', reject);
+    ffmpeg.on('error', (err) => {
+      if (!(signal && signal.aborted)) reject(err);
+    });
+  });
+  endConvert();
+
+  return { loudness: options.loudnorm ? describeLoudness(options.loudnorm, measured) : null };
+}
+
+// Probe results per cleaned URL for a few minutes (see videoInfo.js)
+const videoInfoCache = createVideoInfoCache(async (cleanedUrl, signal) => {
+  const probe = await runYtDlp(['--no-warnings', '--skip-download', '--dump-json', cleanedUrl, ...ytdlpAuthArgs()], WORK_DIR, null, signal);
+  // --dump-json may output multiple lines (playlist etc.) — parse first JSON line
+  const firstLine = (probe.stdout || '').split('\n').find(l => l.trim().length > 0);
+  if (!firstLine) throw new Error('yt-dlp printed no metadata');
+  return JSON.parse(firstLine);
+});
+
+// Metadata for a single video, null when it can't be read; rejects with the abort reason once signal fires
+async function probeVideoInfo(cleanedUrl, signal = null) {
+  try {
+    return (await videoInfoCache.get(cleanedUrl, { signal })).info;
+  } catch (e) {
+    if (signal && signal.aborted) throw signal.reason;
+    log.warn('Metadata probe failed:', e.message);
+    return null;
+  }
+}
+
+// Whether ffprobe finds at least one audio stream in a local file
+function hasAudioStream(inputPath) {
+  return new Promise((resolve) => {
+    const proc = spawn('ffprobe', [
+      '-v', 'error',
+      '-select_streams', 'a',
+      '-show_entries', 'stream=index',
+      '-of', 'csv=p=0',
+      inputPath
+    ]);
+    let out = '';
+    proc.stdout.on('data', (d) => { out += d.toString(); });
+    proc.on('error', () => resolve(false));
+    proc.on('close', (code) => resolve(code === 0 && out.trim().length > 0));
+  });
+}
+
+// Duration (seconds) of a local media file via ffprobe, 0 when it can't be determined
+function probeMediaDuration(inputPath) {
+  return new Promise((resolve) => {
+    const proc = spawn('ffprobe', [
+      '-v', 'error',
+      '-show_entries', 'format=duration',
+      '-of', 'default=noprint_wrappers=1:nokey=1',
+      inputPath
+    ]);
+    let out = '';
+    proc.stdout.on('data', (d) => { out += d.toString(); });
+    proc.on('error', () => resolve(0));
+    proc.on('close', (code) => {
+      const duration = Number(out.trim());
+      resolve(code === 0 && Number.isFinite(duration) ? duration : 0);
+    });
   });
 }
 
@@ -694,46 +725,92 @@ if (!fs.existsSync(CACHE_DIR)) {
   fs.mkdirSync(CACHE_DIR, { recursive: true });
 }
 
+// Where cached conversions live: CACHE_DIR on local disk, or an S3-compatible bucket
+// (STORAGE_BACKEND=s3) shared by every replica and served through presigned URLs
+const { createStorage } = require('./storage');
+const cacheStorage = createStorage(CACHE_DIR);
+log.info(`Cache storage: ${cacheStorage.kind}`);
+
 // New: start periodic cache cleaner (configurable via env)
-const { startCacheCleaner } = require('./cacheCleaner');
+const { startCacheCleaner, touchCacheFile, getLastSweep } = require('./cacheCleaner');
+const { createCacheIndex, platformOf } = require('./cacheIndex');
+const cacheIndex = createCacheIndex(CACHE_DIR, cacheStorage);
 const CACHE_CLEAN_DAYS = Number(process.env.CACHE_CLEAN_DAYS || 7); // default 7 days
 const CACHE_CLEAN_INTERVAL_HOURS = Number(process.env.CACHE_CLEAN_INTERVAL_HOURS || 24); // default every 24h
-try {
-  startCacheCleaner(CACHE_DIR, CACHE_CLEAN_DAYS, CACHE_CLEAN_INTERVAL_HOURS);
-  console.log(`Cache cleaner started: purge files older than ${CACHE_CLEAN_DAYS} days every ${CACHE_CLEAN_INTERVAL_HOURS} hours`);
-} catch (e) {
-  console.warn('Failed to start cache cleaner:', e.message);
+const CACHE_MAX_SIZE_MB = Number(process.env.CACHE_MAX_SIZE_MB || 0); // 0 = no size budget
+const CACHE_MIN_FREE_MB = Number(process.env.CACHE_MIN_FREE_MB || 0); // 0 = no low-disk watermark
+let cacheCleaner = null;
+if (cacheStorage.remote) {
+  // bucket lifecycle rules expire remote objects; the cleaner only knows local directories
+  log.info('Cache cleaner disabled for remote storage');
+} else {
+  try {
+    cacheCleaner = startCacheCleaner(CACHE_DIR, CACHE_CLEAN_DAYS, CACHE_CLEAN_INTERVAL_HOURS, {
+      maxSizeMb: CACHE_MAX_SIZE_MB,
+      minFreeMb: CACHE_MIN_FREE_MB,
+      diskCheckSeconds: Number(process.env.CACHE_DISK_CHECK_SECONDS || 60),
+      dryRun: process.env.CACHE_CLEAN_DRY_RUN === 'true',
+      onDelete: (filePath) => cacheIndex.forgetFile(filePath)
+    });
+    log.info(`Cache cleaner started: purge files unused for ${CACHE_CLEAN_DAYS} days every ${CACHE_CLEAN_INTERVAL_HOURS} hours`);
+  } catch (e) {
+    log.warn('Failed to start cache cleaner:', e.message);
+  }
 }
 
-// Concurrency limiter for downloads (simple semaphore)
-const MAX_CONCURRENT_DOWNLOADS = Number(process.env.MAX_CONCURRENT_DOWNLOADS || 2);
-let currentDownloads = 0;
-const downloadQueue = [];
+// Concurrency limits: platform/direct downloads and local encodes (uploads, direct files) each
+// have their own pool, so a burst of uploads can't starve downloads or the other way round.
+// Queues are ordered by tier and bounded; a full queue answers 503 with Retry-After.
+const downloadSlots = createSlotPool('download', {
+  concurrency: Number(process.env.MAX_CONCURRENT_DOWNLOADS || 2),
+  maxQueue: Number(process.env.MAX_DOWNLOAD_QUEUE || 50)
+});
+const conversionSlots = createSlotPool('conversion', {
+  concurrency: Number(process.env.MAX_CONCURRENT_CONVERSIONS || 2),
+  maxQueue: Number(process.env.MAX_CONVERSION_QUEUE || 50)
+});
 
-function acquireDownloadSlot() {
-  return new Promise((resolve) => {
-    if (currentDownloads < MAX_CONCURRENT_DOWNLOADS) {
-      currentDownloads++;
-      return resolve();
-    }
-    downloadQueue.push(resolve);
+trackSlotPools(() => ({ download: downloadSlots.stats(), conversion: conversionSlots.stats() }));
+
+// Wait for a slot in pool, publishing queue positions as job progress
+function acquireSlot(pool, tier, reportProgress, signal) {
+  return pool.acquire(tier, {
+    onQueuePosition: (position) => reportProgress({ type: 'queue', pool: pool.name, position }),
+    signal
   });
 }
 
-function releaseDownloadSlot() {
-  currentDownloads = Math.max(0, currentDownloads - 1);
-  const next = downloadQueue.shift();
-  if (next) {
-    currentDownloads++;
-    next();
-  }
+// Turns a request away before a job is created when the pool it would wait in is already full
+// (uploads wait for a conversion slot, URLs for a download slot). The pools still have the last
+// word: a job that finds its queue full fails with the same QUEUE_FULL.
+function rejectWhenBusy(req, res, next) {
+  const hasUpload = (req.files || []).some(f => f.fieldname === 'video');
+  const pool = hasUpload ? conversionSlots : downloadSlots;
+  if (!pool.isFull()) return next();
+  removeUploadedFiles(req);
+  const retryAfter = pool.retryAfterSec();
+  res.set('Retry-After', String(retryAfter));
+  res.status(503).json({
+    error: 'The server is busy right now. Please try again shortly.',
+    errorCode: 'QUEUE_FULL',
+    retryable: true,
+    retryAfter
+  });
 }
 
 function computeCacheKey(url, opts = {}) {
   const hash = crypto.createHash('sha256');
-  // include relevant options in the cache key if you support bitrate/format choices later
   hash.update(String(url));
-  if (opts.quality) hash.update(String(opts.quality));
+  // tier encoder settings (encodingProfile): a 96k file must never be served for a 192k request
+  if (opts.quality) hash.update(`quality:${opts.quality}`);
+  // mp3 is the default and adds nothing beyond its encoder settings
+  if (opts.format && opts.format !== 'mp3') hash.update(`format:${opts.format}`);
+  if (opts.clip) hash.update(`clip:${formatClipRange(opts.clip)}`);
+  if (opts.loudnorm) hash.update(`loudnorm:${formatLoudnessTarget(opts.loudnorm)}`);
+  if (opts.tags) {
+    const sorted = Object.keys(opts.tags).sort().map(k => [k, opts.tags[k]]);
+    hash.update(`tags:${JSON.stringify(sorted)}`);
+  }
   return hash.digest('hex');
 }
 
@@ -747,13 +824,13 @@ function parseProxyEnv() {
     let port = u.port;
     if (!port) {
       const inferred = u.protocol === 'http:' ? '80' : (u.protocol === 'https:' ? '443' : '');
-      console.warn(`YTDLP_PROXY provided without port; inferring port ${inferred}. It's recommended to include the explicit port in the proxy URL.`);
+      log.warn(`YTDLP_PROXY provided without port; inferring port ${inferred}. It's recommended to include the explicit port in the proxy URL.`);
       port = inferred;
     }
     const auth = u.username ? { username: decodeURIComponent(u.username), password: decodeURIComponent(u.password) } : null;
     return { raw, protocol: u.protocol.replace(':', ''), host: u.hostname, port: port, auth };
   } catch (err) {
-    console.warn('Invalid YTDLP_PROXY value:', raw, err.message);
+    log.warn('Invalid YTDLP_PROXY value:', raw, err.message);
     return null;
   }
 }
@@ -761,9 +838,9 @@ function parseProxyEnv() {
 const PROXY_CONFIG = parseProxyEnv();
 // Masked log so secret parts aren't printed
 if (PROXY_CONFIG) {
-  console.log(`Proxy configured: ${PROXY_CONFIG.protocol}://${PROXY_CONFIG.host}:${PROXY_CONFIG.port}`);
+  log.info(`Proxy configured: ${PROXY_CONFIG.protocol}://${PROXY_CONFIG.host}:${PROXY_CONFIG.port}`);
 } else {
-  console.log('No proxy configured via YTDLP_PROXY');
+  log.info('No proxy configured via YTDLP_PROXY');
 }
 
 // --- New: binary presence checks (yt-dlp, ffmpeg, python3) ---
@@ -786,206 +863,1235 @@ const BINARIES = {
 
 Object.keys(BINARIES).forEach(k => {
   if (!BINARIES[k].ok) {
-    console.warn(`MISSING BINARY: ${k} -> ${BINARIES[k].message}`);
+    log.warn(`MISSING BINARY: ${k} -> ${BINARIES[k].message}`);
   } else {
-    console.log(`FOUND BINARY: ${k} -> ${BINARIES[k].message}`);
+    log.info(`FOUND BINARY: ${k} -> ${BINARIES[k].message}`);
   }
 });
 
-app.post('/convert-video-to-mp3', handleUpload, async (req, res) => {
-  const premium = isPremiumUser(req);
-  console.log(`ULTIMATE conversion request - ${premium ? 'PREMIUM' : 'STANDARD'} user`);
-  console.log('Request body:', req.body);
-  console.log('Request files:', req.files);
+// Best-effort tagging: a missing cover or tagging failure never fails the conversion
+async function applyAudioTags(filePath, format, tags, thumbnailUrl) {
+  if (!tags || Object.keys(tags).length === 0) return;
+  const coverPath = await fetchCoverArt(thumbnailUrl, WORK_DIR);
+  try {
+    await writeAudioTags(filePath, format, tags, coverPath);
+    log.info(`Tagged ${filePath}${coverPath ? ' (with cover art)' : ''}`);
+  } catch (e) {
+    log.warn('Failed to write audio tags:', e.message);
+  } finally {
+    if (coverPath) {
+      try { fs.unlinkSync(coverPath); } catch (e) { /* ignore */ }
+    }
+  }
+}
+
+// status and retryable come from the error taxonomy in errors.js
+function sendJobError(res, job) {
+  if (job.retryAfterSec) res.set('Retry-After', String(job.retryAfterSec));
+  return res.status(job.errorStatus || 500).json({
+    error: job.error,
+    errorCode: job.errorCode,
+    retryable: !!job.retryable,
+    ...(job.retryAfterSec ? { retryAfter: job.retryAfterSec } : {})
+  });
+}
 
-  let inputPath;
-  let shouldCleanupInput = false;
-  const startTime = Date.now();
+function formatSize(bytes) {
+  return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+}
 
-  // Handle file size limit exceeded
+// Pull conversion parameters out of the request so the job can run without it
+function buildJobParams(req) {
+  const videoFile = req.files && req.files.find(f => f.fieldname === 'video');
+  return {
+    tier: req.client.tier.name,
+    clientId: req.client.id,
+    videoUrl: videoFile ? null : (req.body.videoUrl || null),
+    upload: videoFile ? { path: videoFile.path, originalname: videoFile.originalname } : null,
+    format: resolveFormat(requestedFormat(req)),
+    clip: resolveClip(requestedClip(req), videoFile ? null : cleanVideoUrl(req.body.videoUrl || '')).clip,
+    tags: parseTagOverrides(req.body.tags).tags,
+    loudnorm: resolveLoudnessTarget(requestedLoudness(req)).target,
+    splitChapters: isTruthyParam(requestParam(req, 'splitChapters')),
+    splitOutput: requestParam(req, 'splitOutput') === 'list' ? 'list' : 'zip',
+    ...callbackParams(req)
+  };
+}
+
+// Where a job's completion callback goes, plus the public base URL its result links are built on
+function callbackParams(req) {
+  const callbackUrl = requestParam(req, 'callbackUrl');
+  if (!callbackUrl) return {};
+  return { callbackUrl, publicBaseUrl: process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}` };
+}
+
+async function validateCallback(req, options = {}) {
+  const callbackUrl = requestParam(req, 'callbackUrl');
+  if (callbackUrl === undefined || callbackUrl === '') return null;
+  if (options.sync) {
+    return { status: 400, body: { error: 'callbackUrl needs the job API (POST /jobs or POST /batch)', errorCode: 'INVALID_CALLBACK_URL' } };
+  }
+  if (!webhooksEnabled()) {
+    return { status: 400, body: { error: 'Callbacks are not enabled on this server', errorCode: 'CALLBACKS_DISABLED' } };
+  }
+  const error = await checkCallbackUrl(callbackUrl);
+  return error ? { status: 400, body: { error, errorCode: 'INVALID_CALLBACK_URL' } } : null;
+}
+
+// Conversion options may come in the body (JSON/multipart) or the query string
+function requestParam(req, name) {
+  if (req.body && req.body[name] !== undefined) return req.body[name];
+  return req.query ? req.query[name] : undefined;
+}
+
+function isTruthyParam(value) {
+  return value === true || value === 'true' || value === '1';
+}
+
+function requestedLoudness(req) {
+  const pick = (name) => requestParam(req, name);
+  return { normalize: pick('normalize'), targetLufs: pick('targetLufs'), truePeak: pick('truePeak'), lra: pick('lra') };
+}
+
+function requestedClip(req) {
+  const pick = (name) => requestParam(req, name);
+  return { start: pick('start'), end: pick('end'), duration: pick('duration') };
+}
+
+function requestedFormat(req) {
+  return (req.body && req.body.format) || (req.query && req.query.format);
+}
+
+// Validate request input before queuing; resolves to an error response body or null.
+// options.sync: the request holds the connection, so results can't be fetched later
+async function validateConversionRequest(req, options = {}) {
+  const tier = req.client.tier;
   if (req.files && req.files.length > 0) {
     const file = req.files[0];
-    if (file.size > 500 * 1024 * 1024) {
-      return res.status(413).json({
-        error: 'File size exceeds 500MB limit.',
-        errorCode: 'FILE_TOO_LARGE'
-      });
+    if (file.size > Number(tier.maxUploadMb) * 1024 * 1024) {
+      return { status: 413, body: { error: `File size exceeds ${tier.maxUploadMb}MB limit.`, errorCode: 'FILE_TOO_LARGE' } };
+    }
+  }
+  const videoFile = req.files && req.files.find(f => f.fieldname === 'video');
+  if (!videoFile && !req.body.videoUrl) {
+    return { status: 400, body: { error: 'No video file or URL', errorCode: 'NO_INPUT' } };
+  }
+  const { error: clipError } = resolveClip(requestedClip(req), videoFile ? null : cleanVideoUrl(req.body.videoUrl));
+  if (clipError) {
+    return { status: 400, body: { error: clipError, errorCode: 'INVALID_CLIP' } };
+  }
+  if (isTruthyParam(requestParam(req, 'splitChapters'))) {
+    const splitOutput = requestParam(req, 'splitOutput');
+    if (splitOutput !== undefined && splitOutput !== 'zip' && splitOutput !== 'list') {
+      return { status: 400, body: { error: 'splitOutput must be "zip" or "list"', errorCode: 'INVALID_SPLIT' } };
+    }
+    if (splitOutput === 'list' && options.sync) {
+      return { status: 400, body: { error: 'splitOutput=list needs the job API (POST /jobs)', errorCode: 'INVALID_SPLIT' } };
+    }
+    const { clip } = resolveClip(requestedClip(req), videoFile ? null : cleanVideoUrl(req.body.videoUrl));
+    if (clip) {
+      return { status: 400, body: { error: 'splitChapters cannot be combined with a clip', errorCode: 'INVALID_SPLIT' } };
     }
   }
+  const { error: loudnessError } = resolveLoudnessTarget(requestedLoudness(req));
+  if (loudnessError) {
+    return { status: 400, body: { error: loudnessError, errorCode: 'INVALID_NORMALIZATION' } };
+  }
+  const { error: tagsError } = parseTagOverrides(req.body.tags);
+  if (tagsError) {
+    return { status: 400, body: { error: tagsError, errorCode: 'INVALID_TAGS' } };
+  }
+  const format = resolveFormat(requestedFormat(req));
+  if (!format) {
+    return {
+      status: 400,
+      body: { error: `Unsupported output format: ${requestedFormat(req)}`, errorCode: 'FORMAT_UNSUPPORTED' }
+    };
+  }
+  if (!tierAllowsFormat(tier, format)) {
+    return { status: 403, body: { error: `Your plan does not include ${format} output`, errorCode: 'FORMAT_NOT_ALLOWED' } };
+  }
+  return validateCallback(req, options);
+}
+
+// Binary mode is opt-in: explicit Accept: audio/mpeg (or the requested format's type) or ?response=binary
+// (JSON/base64 stays the default)
+function wantsBinaryResponse(req, format) {
+  if (req.query && req.query.response === 'binary') return true;
+  const audioTypes = ['audio/mpeg', getFormatPreset(format).mimeType.split(';')[0]];
+  return audioTypes.includes(req.accepts(['application/json', ...audioTypes]));
+}
+
+/**
+ * Stream a conversion result with Content-Type/Length/Disposition and HTTP Range support.
+ * Results that came through the cache get a strong ETag derived from computeCacheKey.
+ */
+function sendAudioFile(req, res, result, extraHeaders = {}, callback) {
+  const headers = { ...extraHeaders };
+  if (result.cacheKey) headers.ETag = `"${result.cacheKey}"`;
+  Object.keys(headers).forEach(h => res.setHeader(h, headers[h]));
+  res.attachment(result.filename);
+  if (result.mimeType) res.type(result.mimeType);
+  res.sendFile(result.path, { etag: !result.cacheKey, acceptRanges: true }, (err) => {
+    if (!err && (res.statusCode === 200 || res.statusCode === 206)) {
+      recordBytesServed('stream', Number(res.getHeader('Content-Length')) || 0);
+    }
+    if (err && !res.headersSent) {
+      res.status(err.status || 500).json({ error: 'Failed to send audio file', errorCode: 'SERVER_ERROR' });
+    } else if (err && err.code !== 'ECONNABORTED' && err.code !== 'ECANCELED') {
+      log.warn('Streaming audio failed:', err.message);
+    }
+    if (callback) callback(err);
+  });
+}
 
+// Presigned download URL for results stored remotely, null when the server streams the file itself
+async function remoteDownloadUrl(result) {
+  if (!cacheStorage.remote || !result.storageKey) return null;
+  return cacheStorage.getDownloadUrl(result.storageKey, { filename: result.filename, contentType: result.mimeType });
+}
+
+// base64 body for the default JSON response
+function readInlineAudio(filePath) {
+  const audioData = fs.readFileSync(filePath);
+  recordBytesServed('inline', audioData.length);
+  return audioData.toString('base64');
+}
+
+function removeUploadedFiles(req) {
+  for (const f of req.files || []) {
+    try {
+      if (fs.existsSync(f.path)) fs.unlinkSync(f.path);
+    } catch (e) { /* ignore */ }
+  }
+}
+
+// In-flight URL conversions keyed by computeCacheKey
+const conversionFlights = createSingleFlight();
+
+// Download + convert + tag one URL and store the result in the cache (the shared part of a
+// conversion, run once per cache key by conversionFlights). Resolves with
+// { cached, path, tags, info, loudness, durationSec }; path is the local cache file, null for
+// remote storage, or the temp file when caching failed. signal fires once no caller is left.
+async function downloadAndCache(request, { setStatus, reportProgress, signal }) {
+  const { videoUrl, cleaned, tier, format, clip, loudnorm, tagOverrides, cacheName } = request;
+  const preset = getFormatPreset(format);
+
+  // Acquire a download slot before expensive work
+  const releaseSlot = await acquireSlot(downloadSlots, tier, reportProgress, signal);
+  let downloadedPath = null;
+  let sourceInfo = null;
+  let loudness = null;
+  let tags = {};
+  let durationSec = null;
+  let cached = false;
   try {
-    const videoFile = req.files && req.files.find(f => f.fieldname === 'video');
+    setStatus('downloading');
+    // perform actual download + conversion (this will produce a file path)
+    downloadedPath = await downloadVideoWithYtdlpUltimate(videoUrl, WORK_DIR, tier, {
+      onStatus: setStatus,
+      onInfo: (info) => { sourceInfo = info; },
+      onProgress: reportProgress,
+      onLoudness: (measured) => { loudness = measured; },
+      format,
+      clip,
+      loudnorm,
+      signal
+    });
+    // tag before caching so cache hits come back tagged too
+    tags = buildTags(sourceInfo, tagOverrides, cleaned);
+    if (downloadedPath && fs.existsSync(downloadedPath)) {
+      reportProgress({ type: 'phase', phase: 'tag' });
+      await applyAudioTags(downloadedPath, format, tags, sourceInfo && sourceInfo.thumbnail);
+    }
+    // Store in the cache for future requests
+    if (downloadedPath && downloadedPath.endsWith(`.${preset.ext}`) && fs.existsSync(downloadedPath)) {
+      try {
+        reportProgress({ type: 'phase', phase: 'cache' });
+        // kept as object metadata so remote cache hits can be served without downloading the file
+        durationSec = await probeMediaDuration(downloadedPath);
+        const stored = await cacheStorage.put(cacheName, downloadedPath, {
+          contentType: preset.mimeType,
+          metadata: { title: tags.title, duration: durationSec }
+        });
+        if (stored) {
+          log.info(`Cached ${cleaned} -> ${cacheStorage.kind}:${cacheName}`);
+          cacheIndex.recordEntry(path.parse(cacheName).name, {
+            url: cleaned, format, clip, file: cacheName, size: fs.statSync(downloadedPath).size
+          });
+          if (cacheCleaner) cacheCleaner.check();
+        } else {
+          log.info(`Cache already created concurrently for ${cleaned}`);
+        }
+        cached = true;
+      } catch (e) {
+        log.warn('Failed to cache file:', e.message);
+      }
+    }
+  } finally {
+    // always release slot
+    releaseSlot();
+  }
+
+  if (!cached && (!downloadedPath || !downloadedPath.endsWith(`.${preset.ext}`))) {
+    throw serviceError('DOWNLOAD_FAILED', `yt-dlp did not produce a ${preset.ext} file.`);
+  }
+
+  // serve from the cache (prefer cache); the temp download is only needed when caching failed
+  if (cached && downloadedPath) {
+    try { fs.unlinkSync(downloadedPath); } catch (e) { /* ignore */ }
+  }
+
+  return {
+    cached,
+    path: cached ? cacheStorage.localPath(cacheName) : downloadedPath,
+    tags,
+    info: sourceInfo,
+    loudness,
+    durationSec
+  };
+}
+
+// Job processor: runs one conversion end-to-end and reports where the audio file ended up.
+// Only successful conversions count against the submitting client's daily quota.
+async function runConversionJob(job, setStatus, reportProgress = () => {}, signal = null) {
+  const result = await convertJobSource(job, setStatus, reportProgress, signal);
+  // remote cache hits have no local file, their duration comes from the object's metadata
+  if (result.durationSec == null && result.path) result.durationSec = await probeMediaDuration(result.path);
+  if (job.params.clientId) {
+    recordUsage(job.params.clientId, {
+      durationSec: result.durationSec,
+      bytes: result.bytes,
+      cached: !!result.cacheHit
+    });
+  }
+  return result;
+}
+
+async function convertJobSource(job, setStatus, reportProgress, signal) {
+  const { videoUrl, upload: uploadedFile } = job.params;
+  const tier = jobTier(job);
+  const format = job.params.format || 'mp3';
+  const preset = getFormatPreset(format);
+  const clip = job.params.clip || null;
+  const tagOverrides = job.params.tags || null;
+  const loudnorm = job.params.loudnorm || null;
+  let loudness = null;
+  const describe = (bytes) => ({
+    format,
+    mimeType: preset.mimeType,
+    size: formatSize(bytes),
+    bytes, // internal: usage accounting
+    clip,
+    // measured values are only known when this job did the encode
+    loudness: loudness || (loudnorm ? describeLoudness(loudnorm, null) : null)
+  });
+  log.info(`ULTIMATE conversion job ${job.id} - ${tier.name.toUpperCase()} tier, format ${format}`);
+
+  let inputPath;
+  let shouldCleanupInput = false;
+  let outputPath = null;
+  let releaseConversion = null;
 
-    if (videoFile) {
-      inputPath = videoFile.path;
-    } else if (req.body.videoUrl) {
-      const videoUrl = req.body.videoUrl;
+  try {
+    if (uploadedFile) {
+      inputPath = uploadedFile.path;
+    } else {
       shouldCleanupInput = true;
 
       if (isSupportedVideoUrl(videoUrl)) {
         const isVimeo = videoUrl.includes('vimeo.com');
         if (isVimeo) {
-          return res.status(400).json({
-            error: 'Vimeo not supported',
-            errorCode: 'URL_UNSUPPORTED'
-          });
+          throw serviceError('URL_UNSUPPORTED', 'Vimeo not supported');
         }
 
-        // --- NEW: Cache fast-path + concurrency control ---
+        // --- Cache fast-path + concurrency control ---
         const cleaned = cleanVideoUrl(videoUrl);
-        const cacheKey = computeCacheKey(cleaned);
-        const cachedPath = path.join(CACHE_DIR, `${cacheKey}.mp3`);
-
-        if (fs.existsSync(cachedPath)) {
-          console.log(`Cache hit for ${cleaned} -> ${cachedPath}`);
-          const stats = fs.statSync(cachedPath);
-          const audioData = fs.readFileSync(cachedPath);
-          const base64Audio = audioData.toString('base64');
-
-          const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
-          console.log(`Total (cached): ${elapsed}s (${premium ? 'PREMIUM' : 'STANDARD'})`);
-
-          return res.json({
-            success: true,
-            audioData: base64Audio,
-            filename: 'audio.mp3',
-            size: `${(stats.size / 1024 / 1024).toFixed(2)} MB`,
-            conversionTime: `${elapsed}s`,
-            tier: premium ? 'premium' : 'standard',
-            cached: true
-          });
+        const cacheKey = computeCacheKey(cleaned, { format, quality: encodingProfile(format, tier), clip, tags: tagOverrides, loudnorm });
+        const cacheName = `${cacheKey}.${preset.ext}`;
+
+        // an unreachable store just means converting again, not failing the request
+        const hit = await cacheStorage.stat(cacheName).catch((e) => {
+          log.warn('Cache lookup failed:', e.message);
+          return null;
+        });
+        if (hit) {
+          const cachedPath = cacheStorage.localPath(cacheName);
+          // cached files are the converted audio (the clip, if any), so their length is what counts
+          const cachedDurationSec = Number(hit.metadata.duration) || (cachedPath ? await probeMediaDuration(cachedPath) : 0);
+          assertWithinDurationLimit(tier, cachedDurationSec);
+          log.info(`Cache hit for ${cleaned} -> ${cacheStorage.kind}:${cacheName}`);
+          if (cachedPath) touchCacheFile(cachedPath);
+          cacheIndex.recordHit(cacheKey, { url: cleaned, clip });
+          recordCacheLookup(true);
+          // cached files carry their title tag (remote objects a copy in their metadata), use it to name the download
+          const title = hit.metadata.title || (cachedPath ? await readTitleTag(cachedPath) : null);
+          const filename = `${sanitizeFilename(title)}.${preset.ext}`;
+          return {
+            path: cachedPath,
+            storageKey: cacheName,
+            filename,
+            ...describe(hit.size),
+            cached: true,
+            cacheHit: true,
+            temporary: false,
+            cacheKey,
+            durationSec: cachedDurationSec || null
+          };
         }
 
-        // Acquire a download slot before expensive work
-        await acquireDownloadSlot();
-        let downloadedPath = null;
-        try {
-          // perform actual download + conversion (this will produce a file path)
-          downloadedPath = await downloadVideoWithYtdlpUltimate(videoUrl, '/tmp', premium);
-          // If the returned file is not an mp3, convertToMp3Ultimate call already handled it in the function.
-          // Copy to cache for future requests (atomic-ish)
-          if (downloadedPath && fs.existsSync(downloadedPath)) {
-            try {
-              // ensure we don't overwrite an existing cache (race safe)
-              if (!fs.existsSync(cachedPath)) {
-                fs.copyFileSync(downloadedPath, cachedPath);
-                console.log(`Cached ${cleaned} -> ${cachedPath}`);
-              } else {
-                console.log(`Cache already created concurrently for ${cleaned}`);
-              }
-            } catch (e) {
-              console.warn('Failed to cache file:', e.message);
-            }
+        // The shared conversion runs with the tier of whoever started it, so every caller checks its
+        // own duration limit first. The probe is the one the conversion uses (videoInfo.js).
+        const probed = await probeVideoInfo(cleaned, signal);
+        const probedDurationSec = probed ? Number(probed.duration || probed._duration) || 0 : 0;
+        if (probedDurationSec > 0) assertWithinDurationLimit(tier, convertedDuration(clip, probedDurationSec));
+
+        // Identical requests already running share that conversion instead of starting their own.
+        // A shared result is only usable from the cache; if the leader couldn't cache it, run our own.
+        let flight;
+        let shared;
+        for (let attempt = 0; ; attempt++) {
+          // leaving (cancel, deadline) only stops the conversion when no other request shares it
+          flight = conversionFlights.run(cacheKey, (progress) => downloadAndCache({
+            videoUrl, cleaned, tier, format, clip, loudnorm, tagOverrides, cacheName
+          }, progress), { setStatus, reportProgress, signal });
+          if (!flight.leader) {
+            log.info(`Joining in-flight conversion of ${cleaned} (${conversionFlights.waiting(cacheKey)} waiting)`);
           }
-        } finally {
-          // always release slot
-          releaseDownloadSlot();
+          // followers count as hits: they never start a conversion of their own
+          if (flight.leader) cacheIndex.recordMiss();
+          else cacheIndex.recordHit(cacheKey);
+          recordCacheLookup(!flight.leader);
+          shared = await flight.promise;
+          if (shared.cached || flight.leader || attempt > 0) break;
+          log.warn(`Shared conversion of ${cleaned} was not cached, converting separately`);
         }
+        // when the probe above failed, the converted length still decides
+        if (shared.durationSec) assertWithinDurationLimit(tier, shared.durationSec);
+        loudness = shared.loudness;
+        const filename = `${sanitizeFilename(shared.tags.title)}.${preset.ext}`;
+
+        if (shared.cached) {
+          log.info(`Serving final ${preset.ext.toUpperCase()}:`, `${cacheStorage.kind}:${cacheName}`);
+          const stat = await cacheStorage.stat(cacheName);
+          if (!stat) throw serviceError('DOWNLOAD_FAILED', 'The converted file disappeared from the cache. Please try again.');
+          return {
+            path: shared.path,
+            storageKey: cacheName,
+            filename,
+            ...describe(stat.size),
+            cached: true,
+            // followers got someone else's conversion: count it like a cache hit
+            cacheHit: !flight.leader,
+            temporary: false,
+            cacheKey,
+            durationSec: shared.durationSec,
+            info: shared.info // internal: lets follow-up steps (chapter split) skip a second probe
+          };
+        }
+        if (!flight.leader) {
+          // the leader's uncached temp file is its own to serve and delete
+          throw serviceError('DOWNLOAD_FAILED', 'A concurrent conversion of this video could not be shared. Please try again.');
+        }
+        log.info(`Serving final ${preset.ext.toUpperCase()}:`, shared.path);
+        return {
+          path: shared.path,
+          filename,
+          ...describe(fs.statSync(shared.path).size),
+          cached: false,
+          temporary: true,
+          cacheKey,
+          info: shared.info
+        };
+      }
 
-        // If we have cachedPath now, serve from cache (prefer cache)
-        const finalServePath = fs.existsSync(cachedPath) ? cachedPath : downloadedPath;
-        if (finalServePath && finalServePath.endsWith('.mp3')) {
-          console.log('Serving final MP3:', finalServePath);
-          const stats = fs.statSync(finalServePath);
-          const audioData = fs.readFileSync(finalServePath);
-          const base64Audio = audioData.toString('base64');
-
-          if (fs.existsSync(downloadedPath) && shouldCleanupInput) {
-            // cleanup temp downloaded file if it's different from cache
-            try {
-              if (downloadedPath !== cachedPath) fs.unlinkSync(downloadedPath);
-            } catch (e) { /* ignore */ }
-          }
+      const releaseDownload = await acquireSlot(downloadSlots, tier, reportProgress, signal);
+      try {
+        setStatus('downloading');
+        reportProgress({ type: 'phase', phase: 'download', name: 'direct' });
+        inputPath = path.join(WORK_DIR, `direct_${uuidv4()}.video`);
+        const endDownload = timePhase('download');
+        await downloadDirectVideo(videoUrl, inputPath, tier, signal);
+        endDownload();
+      } finally {
+        releaseDownload();
+      }
+    }
 
-          const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
-          return res.json({
-            success: true,
-            audioData: base64Audio,
-            filename: 'audio.mp3',
-            size: `${(stats.size / 1024 / 1024).toFixed(2)} MB`,
-            conversionTime: `${elapsed}s`,
-            tier: premium ? 'premium' : 'standard',
-            cached: fs.existsSync(cachedPath)
-          });
+    // local encodes (uploads, direct files) take turns in their own pool
+    releaseConversion = await acquireSlot(conversionSlots, tier, reportProgress, signal);
+    setStatus('converting');
+    const outputId = uuidv4();
+    outputPath = path.join(WORK_DIR, `converted_${outputId}.${preset.ext}`);
+    // uploads and direct files: validate the clip against the real duration before encoding
+    reportProgress({ type: 'phase', phase: 'probe' });
+    const inputDurationSec = await probeMediaDuration(inputPath);
+    const fittedClip = clip ? fitClipToDuration(clip, inputDurationSec) : null;
+    const expectedDurationSec = fittedClip
+      ? (fittedClip.end !== null ? fittedClip.end : inputDurationSec) - fittedClip.start
+      : inputDurationSec;
+    assertWithinDurationLimit(tier, expectedDurationSec);
+    reportProgress({ type: 'phase', phase: 'convert' });
+    const converted = await convertToMp3Ultimate(inputPath, outputPath, tier, format, {
+      clip: fittedClip,
+      durationSec: expectedDurationSec,
+      onProgress: reportProgress,
+      loudnorm,
+      signal
+    });
+    loudness = converted.loudness;
+
+    // no probe info here: only client tags (plus the source URL for direct downloads)
+    const tags = buildTags(null, tagOverrides, uploadedFile ? null : videoUrl);
+    await applyAudioTags(outputPath, format, tags, null);
+
+    let filename = uploadedFile
+      ? `${uploadedFile.originalname.split('.')[0]}.${preset.ext}`
+      : `audio_${outputId}.${preset.ext}`;
+    if (tags.title) filename = `${sanitizeFilename(tags.title)}.${preset.ext}`;
+    return { path: outputPath, filename, ...describe(fs.statSync(outputPath).size), cached: false, temporary: true };
+  } catch (err) {
+    // a failed or cancelled encode leaves a partial output behind
+    if (outputPath) {
+      try { fs.unlinkSync(outputPath); } catch (e) { /* ignore */ }
+    }
+    throw err;
+  } finally {
+    if (releaseConversion) releaseConversion();
+    if (inputPath && (shouldCleanupInput || uploadedFile)) {
+      try {
+        if (fs.existsSync(inputPath)) fs.unlinkSync(inputPath);
+      } catch (e) { /* ignore */ }
+    }
+  }
+}
+
+// Results kept in remote storage have no local path; steps that need the audio itself (chapter
+// cutting, ZIP packing) work on a temporary local copy
+async function withLocalFile(result) {
+  if (result.path) return result;
+  const localPath = path.join(WORK_DIR, `fetched_${uuidv4()}${path.extname(result.storageKey)}`);
+  await cacheStorage.fetchToFile(result.storageKey, localPath);
+  return { ...result, path: localPath, temporary: true };
+}
+
+// Batch job processor: expands a playlist/channel, converts each entry through runConversionJob
+// (so the cache and download slots apply per item) and packs the results into a ZIP + M3U
+async function runBatchJob(job, setStatus, reportProgress = () => {}, signal = null) {
+  const { tier, clientId, range } = job.params;
+  const format = job.params.format || 'mp3';
+  const playlistUrl = toPlaylistUrl(job.params.videoUrl);
+  log.info(`Batch job ${job.id} - ${playlistUrl} items ${range.start}-${range.end}, format ${format}`);
+
+  setStatus('downloading');
+  reportProgress({ type: 'phase', phase: 'expand' });
+  let playlist;
+  try {
+    playlist = await expandPlaylist(playlistUrl, range, (args) => runYtDlp(args, WORK_DIR, null, signal), ytdlpAuthArgs());
+  } catch (e) {
+    if (signal && signal.aborted) throw signal.reason;
+    log.warn('Playlist expansion failed:', e.message);
+    throw serviceError('VIDEO_UNAVAILABLE', 'Unable to read this playlist. It may be private, deleted, or region-restricted.');
+  }
+  if (playlist.entries.length === 0) {
+    throw serviceError('PLAYLIST_EMPTY', 'No playable items were found in the requested range.');
+  }
+
+  // per-item report, visible on GET /jobs/:id while the batch runs
+  job.items = playlist.entries.map(e => ({ index: e.index, url: e.url, title: e.title, status: 'queued' }));
+  const converted = [];
+
+  try {
+    for (let i = 0; i < playlist.entries.length; i++) {
+      const entry = playlist.entries[i];
+      const item = job.items[i];
+      const total = playlist.entries.length;
+      item.status = 'converting';
+      reportProgress({ type: 'batch', item: i + 1, total, index: entry.index, url: entry.url });
+
+      const itemJob = { id: `${job.id}#${entry.index}`, params: { tier, clientId, videoUrl: entry.url, format, clip: null, tags: null } };
+      try {
+        // the quota was checked at submission, but a long playlist can use it up midway
+        if (clientId && getQuotaStatus(clientId, jobTier(job)).exceeded) {
+          throw serviceError('QUOTA_EXCEEDED', 'Daily quota used up before this item could be converted.');
         }
+        const result = await withLocalFile(await runConversionJob(itemJob, () => {}, (event) => reportProgress({ ...event, item: i + 1, total }), signal));
+        converted.push({ entry, result });
+        Object.assign(item, { status: 'done', filename: result.filename, size: result.size, cached: result.cached });
+      } catch (err) {
+        // a cancelled or timed out batch stops here instead of trying the remaining items
+        if (signal && signal.aborted) throw signal.reason;
+        const described = describeError(err);
+        Object.assign(item, { status: 'failed', error: described.message, errorCode: described.code, retryable: described.retryable });
+        log.warn(`Batch item ${entry.index} failed:`, described.code);
+      }
+    }
 
-        // If not MP3 or download failed, fall through to error handling below
-      } else {
-        const videoId = uuidv4();
-        inputPath = `/tmp/direct_${videoId}.video`;
-        await downloadDirectVideo(videoUrl, inputPath);
+    if (converted.length === 0) {
+      throw serviceError('DOWNLOAD_FAILED', 'None of the playlist items could be converted. Please try a different playlist.');
+    }
+
+    setStatus('converting');
+    reportProgress({ type: 'phase', phase: 'zip' });
+    const pad = String(range.end).length;
+    const files = converted.map(({ entry, result }) => ({
+      path: result.path,
+      name: `${String(entry.index).padStart(pad, '0')} - ${result.filename}`,
+      title: entry.title,
+      duration: entry.duration
+    }));
+    const playlistName = sanitizeFilename(playlist.title, 'playlist');
+    const m3u = buildM3u(files.map(f => ({ filename: f.name, title: f.title, duration: f.duration })));
+
+    const zipPath = path.join(WORK_DIR, `batch_${job.id}.zip`);
+    await createZip(zipPath, files, [{ name: `${playlistName}.m3u`, content: m3u }]);
+    log.info(`Batch job ${job.id}: ${converted.length}/${playlist.entries.length} items zipped`);
+
+    return {
+      path: zipPath,
+      filename: `${playlistName}.zip`,
+      format: 'zip',
+      mimeType: 'application/zip',
+      size: formatSize(fs.statSync(zipPath).size),
+      cached: false,
+      temporary: true
+    };
+  } finally {
+    // item files that didn't land in the cache are only needed for the ZIP
+    for (const { result } of converted) {
+      if (result.temporary) {
+        try { fs.unlinkSync(result.path); } catch (e) { /* ignore */ }
       }
-    } else {
-      return res.status(400).json({
-        error: 'No video file or URL',
-        errorCode: 'NO_INPUT'
-      });
     }
+  }
+}
 
-    const outputId = uuidv4();
-    const outputPath = `/tmp/converted_${outputId}.mp3`;
+// Chapter split processor: converts the full track as usual (cached), then cuts it into one
+// tagged file per chapter. Chapters come from the yt-dlp info, then embedded file chapters,
+// then silence detection as a last resort.
+async function runChapterSplitJob(job, setStatus, reportProgress = () => {}, signal = null) {
+  const { splitOutput } = job.params;
+
+  const full = await withLocalFile(await runConversionJob(job, setStatus, reportProgress, signal));
+  const dropFull = () => {
+    if (!full.temporary) return;
+    try { fs.unlinkSync(full.path); } catch (e) { /* ignore */ }
+  };
+
+  setStatus('converting');
+  reportProgress({ type: 'phase', phase: 'split' });
+
+  let split;
+  try {
+    split = await cutChapterTracks(job, full, reportProgress, signal);
+  } catch (err) {
+    dropFull();
+    throw err;
+  }
+  const { tracks, chapterSource, album } = split;
+
+  if (splitOutput === 'list') {
+    // full track stays the main result, each track is served from /jobs/:id/tracks/:n
+    return { ...full, tracks, chapterSource };
+  }
+
+  try {
+    reportProgress({ type: 'phase', phase: 'zip' });
+    const zipPath = path.join(WORK_DIR, `chapters_${job.id}.zip`);
+    const m3u = buildM3u(tracks.map(t => ({
+      filename: t.filename,
+      title: t.title,
+      duration: t.end !== null ? t.end - t.start : null
+    })));
+    const albumName = sanitizeFilename(album, 'chapters');
+    await createZip(zipPath, tracks.map(t => ({ path: t.path, name: t.filename })), [{ name: `${albumName}.m3u`, content: m3u }]);
+
+    return {
+      path: zipPath,
+      filename: `${albumName}.zip`,
+      format: 'zip',
+      mimeType: 'application/zip',
+      size: formatSize(fs.statSync(zipPath).size),
+      cached: false,
+      temporary: true,
+      chapterSource,
+      // track files are inside the ZIP, only keep their description
+      tracks: tracks.map(({ path: trackPath, ...rest }) => rest)
+    };
+  } finally {
+    tracks.forEach(t => { try { fs.unlinkSync(t.path); } catch (e) { /* ignore */ } });
+    dropFull();
+  }
+}
+
+// Find chapter boundaries for a converted file and cut + tag one file per chapter
+async function cutChapterTracks(job, full, reportProgress, signal = null) {
+  const format = job.params.format || 'mp3';
+  const preset = getFormatPreset(format);
+  const { videoUrl } = job.params;
+
+  let info = full.info || null;
+  if (!info && videoUrl && isSupportedVideoUrl(videoUrl)) {
+    info = await probeVideoInfo(cleanVideoUrl(videoUrl), signal);
+  }
+  const durationSec = await probeMediaDuration(full.path);
+
+  let chapterSource = 'metadata';
+  let chapters = normalizeChapters(info && info.chapters, durationSec);
+  if (chapters.length < 2) {
+    chapterSource = 'file';
+    chapters = normalizeChapters(await probeFileChapters(full.path), durationSec);
+  }
+  if (chapters.length < 2) {
+    chapterSource = 'silence';
+    chapters = await detectSilenceChapters(full.path, durationSec, signal);
+  }
+  if (chapters.length < 2) {
+    throw serviceError('NO_CHAPTERS', 'This video has no chapters and no clear silent gaps to split on.');
+  }
+  log.info(`Splitting ${full.path} into ${chapters.length} tracks (source: ${chapterSource})`);
+
+  const albumTags = buildTags(info, job.params.tags, videoUrl);
+  const album = albumTags.title || path.parse(full.filename).name;
+  const coverPath = await fetchCoverArt(info && info.thumbnail, WORK_DIR);
+  const pad = Math.max(2, String(chapters.length).length);
+  const tracks = [];
+
+  try {
+    for (let i = 0; i < chapters.length; i++) {
+      const chapter = chapters[i];
+      const number = i + 1;
+      const trackPath = path.join(WORK_DIR, `track_${job.id}_${number}.${preset.ext}`);
+      const filename = `${String(number).padStart(pad, '0')} - ${sanitizeFilename(chapter.title, `Track ${number}`)}.${preset.ext}`;
+      tracks.push({ number, title: chapter.title, start: chapter.start, end: chapter.end, filename, path: trackPath });
+
+      await cutTrack(full.path, trackPath, preset.muxer, chapter.start, chapter.end, signal);
+      const trackTags = {
+        ...albumTags,
+        title: chapter.title,
+        album,
+        track: `${number}/${chapters.length}`
+      };
+      try {
+        await writeAudioTags(trackPath, format, trackTags, coverPath);
+      } catch (e) {
+        log.warn(`Failed to tag track ${number}:`, e.message);
+      }
+      tracks[i].size = formatSize(fs.statSync(trackPath).size);
+      reportProgress({ type: 'progress', phase: 'split', percent: Math.floor((number / chapters.length) * 100) });
+    }
+  } catch (err) {
+    tracks.forEach(t => { try { fs.unlinkSync(t.path); } catch (e) { /* ignore */ } });
+    throw err;
+  } finally {
+    if (coverPath) {
+      try { fs.unlinkSync(coverPath); } catch (e) { /* ignore */ }
+    }
+  }
+
+  return { tracks, chapterSource, album };
+}
+
+// Everything a job logs carries its id plus the phase/layer it last reported
+function runJobByType(job, setStatus, reportProgress, signal) {
+  return log.withLogContext({ jobId: job.id }, (logContext) => {
+    const report = (event) => {
+      if (event.type === 'phase') {
+        logContext.phase = event.phase;
+        logContext.layer = event.name;
+      }
+      reportProgress(event);
+    };
+    if (job.params.type === 'batch') return runBatchJob(job, setStatus, report, signal);
+    if (job.params.splitChapters) return runChapterSplitJob(job, setStatus, report, signal);
+    return runConversionJob(job, setStatus, report, signal);
+  });
+}
+
+// Completion callback body. errorCode is one of the codes from errors.js
+async function webhookPayload(job) {
+  const payload = {
+    event: job.status === 'done' ? 'job.done' : 'job.failed',
+    jobId: job.id,
+    status: job.status,
+    errorCode: job.errorCode,
+    createdAt: new Date(job.createdAt).toISOString(),
+    finishedAt: job.finishedAt ? new Date(job.finishedAt).toISOString() : null
+  };
+  if (job.status === 'failed') {
+    payload.error = job.error;
+    payload.retryable = !!job.retryable;
+    return payload;
+  }
+  const result = job.result;
+  let bytes = result.bytes != null ? result.bytes : null;
+  if (bytes === null && result.path && fs.existsSync(result.path)) bytes = fs.statSync(result.path).size;
+  const downloadUrl = await remoteDownloadUrl(result);
+  payload.result = {
+    filename: result.filename,
+    format: result.format,
+    mimeType: result.mimeType,
+    size: result.size,
+    bytes,
+    durationSec: result.durationSec != null ? result.durationSec : null,
+    cached: !!result.cached,
+    url: `${job.params.publicBaseUrl}/jobs/${job.id}/result`,
+    ...(downloadUrl ? { downloadUrl, downloadUrlExpiresIn: cacheStorage.urlExpiresSeconds } : {})
+  };
+  return payload;
+}
+
+// Finished jobs by type and outcome for /metrics, then the client's callback
+function onJobFinished(job) {
+  const type = job.params.type === 'batch' ? 'batch' : job.params.splitChapters ? 'split' : 'convert';
+  recordConversion(type, job.status === 'failed' ? job.errorCode : null);
+  notifyCallback(job);
+}
+
+function notifyCallback(job) {
+  if (!job.params.callbackUrl) return;
+  webhookPayload(job)
+    .then(payload => deliverWebhook(job, job.params.callbackUrl, payload))
+    .catch(e => log.error(`Failed to build callback for job ${job.id}:`, e.message));
+}
+
+// Jobs are written to an append-only file next to the cache index (JOB_STORE_FILE, "off" keeps
+// them in memory only) so a redeploy resumes them instead of dropping them
+const JOB_STORE_FILE = process.env.JOB_STORE_FILE || path.join(CACHE_DIR, '.meta', 'jobs.jsonl');
+let jobStore = null;
+if (JOB_STORE_FILE !== 'off') {
+  jobStore = createJobStore(JOB_STORE_FILE);
+}
+
+configureJobs({ processor: runJobByType, describeError, onFinish: onJobFinished, store: jobStore });
+
+// an upload lives in WORK_DIR, which a redeploy doesn't keep
+restoreJobs((job) => !job.params.upload || fs.existsSync(job.params.upload.path));
+removeOrphanedTempFiles();
+
+// Work files of conversions the previous process never finished: partial yt-dlp downloads,
+// direct downloads, encodes, chapter/batch work and uploads. Everything in WORK_DIR is ours;
+// results and uploads of restored jobs are kept, nothing of this process has started yet.
+function removeOrphanedTempFiles() {
+  const keep = jobFiles();
+  let removed = 0;
+  let freed = 0;
+  for (const name of fs.readdirSync(WORK_DIR)) {
+    const filePath = path.join(WORK_DIR, name);
+    if (keep.has(filePath)) continue;
+    try {
+      const stats = fs.statSync(filePath);
+      if (!stats.isFile()) continue;
+      fs.unlinkSync(filePath);
+      removed++;
+      freed += stats.size;
+    } catch (e) {
+      log.warn(`Failed to remove leftover ${name}:`, e.message);
+    }
+  }
+  if (removed) log.info(`Removed ${removed} leftover temp file(s) from an earlier run (${formatSize(freed)})`);
+}
+
+// Synchronous API: submits a job and holds the connection until it finishes
+app.post('/convert-video-to-mp3', limitRequests(), handleUpload, rejectWhenBusy, async (req, res) => {
+  // field names and upload sizes only: bodies carry URLs, tags and callback targets
+  log.info('Conversion request', {
+    fields: Object.keys(req.body || {}),
+    files: (req.files || []).map(f => ({ field: f.fieldname, size: f.size, mimetype: f.mimetype }))
+  });
+
+  const invalid = await validateConversionRequest(req, { sync: true });
+  if (invalid) {
+    removeUploadedFiles(req);
+    return res.status(invalid.status).json(invalid.body);
+  }
+
+  // the connection is the only way to the result, so there is nothing to resume after a restart
+  const job = createJob(buildJobParams(req), { persist: false });
+  const tier = req.client.tier;
+  let keepJob = false;
+  // nobody is left to receive the result: stop yt-dlp/ffmpeg instead of finishing for nothing
+  res.on('close', () => {
+    if (!res.writableFinished) cancelJob(job.id, 'The client disconnected before the conversion finished.');
+  });
+
+  try {
+    await waitForJob(job.id);
 
-    await convertToMp3Ultimate(inputPath, outputPath, premium);
+    if (job.status === 'failed') return sendJobError(res, job);
 
-    const stats = fs.statSync(outputPath);
-    const audioData = fs.readFileSync(outputPath);
-    const base64Audio = audioData.toString('base64');
+    const elapsed = ((job.finishedAt - job.createdAt) / 1000).toFixed(1);
+    log.info(`Total${job.result.cacheHit ? ' (cached)' : ''}: ${elapsed}s (${tier.name.toUpperCase()})`);
 
-    // Cleanup
-    fs.unlinkSync(outputPath);
-    if (shouldCleanupInput && fs.existsSync(inputPath)) fs.unlinkSync(inputPath);
-    if (videoFile && fs.existsSync(videoFile.path)) fs.unlinkSync(videoFile.path);
+    // remote cache: the client fetches the file straight from storage
+    const downloadUrl = await remoteDownloadUrl(job.result);
 
-    const filename = videoFile ? `${videoFile.originalname.split('.')[0]}.mp3` : `audio_${outputId}.mp3`;
-    const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
-    console.log(`Total: ${elapsed}s (${premium ? 'PREMIUM' : 'STANDARD'})`);
+    if (wantsBinaryResponse(req, job.params.format)) {
+      if (downloadUrl) {
+        res.set({ 'X-Conversion-Time': `${elapsed}s`, 'X-Cache': job.result.cacheHit ? 'HIT' : 'MISS' });
+        return res.redirect(302, downloadUrl);
+      }
+      // the job (and its temp file) must outlive the stream, drop it once sending finishes
+      keepJob = true;
+      return sendAudioFile(req, res, job.result, {
+        'X-Conversion-Time': `${elapsed}s`,
+        'X-Cache': job.result.cacheHit ? 'HIT' : 'MISS'
+      }, () => removeJob(job.id));
+    }
 
-    res.json({
+    const body = {
       success: true,
-      audioData: base64Audio,
-      filename: filename,
-      size: `${(stats.size / 1024 / 1024).toFixed(2)} MB`,
+      ...(downloadUrl
+        ? { downloadUrl, downloadUrlExpiresIn: cacheStorage.urlExpiresSeconds }
+        : { audioData: readInlineAudio(job.result.path) }),
+      filename: job.result.filename,
+      format: job.result.format,
+      mimeType: job.result.mimeType,
+      size: job.result.size,
+      ...(job.result.clip ? { clip: job.result.clip } : {}),
+      ...(job.result.loudness ? { loudness: job.result.loudness } : {}),
+      ...(job.result.tracks ? { tracks: job.result.tracks, chapterSource: job.result.chapterSource } : {}),
       conversionTime: `${elapsed}s`,
-      tier: premium ? 'premium' : 'standard'
+      tier: tier.name
+    };
+    if (job.params.videoUrl && isSupportedVideoUrl(job.params.videoUrl)) body.cached = job.result.cached;
+    res.json(body);
+  } catch (error) {
+    log.error('Error:', error);
+    const described = describeError(error);
+    res.status(described.status).json({
+      error: described.message,
+      errorCode: described.code
     });
+  } finally {
+    // the result has been delivered inline, no need to keep it around
+    if (!keepJob) removeJob(job.id);
+  }
+});
 
-  } catch (error) {
-    console.error('Error:', error);
-
-    if (error.message && (
-      error.message.includes('URL_UNSUPPORTED') ||
-      error.message.includes('VIDEO_UNAVAILABLE') ||
-      error.message.includes('VIDEO_PRIVATE') ||
-      error.message.includes('VIDEO_AGE_RESTRICTED') ||
-      error.message.includes('VIDEO_REQUIRES_AUTH') ||
-      error.message.includes('VIDEO_COPYRIGHT') ||
-      error.message.includes('RATE_LIMITED') ||
-      error.message.includes('DOWNLOAD_FAILED')
-    )) {
-      return res.status(400).json({
-        error: error.message,
-        errorCode: error.message.split(':')[0]
-      });
+// Asynchronous API: submit a job and return immediately
+app.post('/jobs', limitRequests(), handleUpload, rejectWhenBusy, async (req, res) => {
+  const invalid = await validateConversionRequest(req);
+  if (invalid) {
+    removeUploadedFiles(req);
+    return res.status(invalid.status).json(invalid.body);
+  }
+
+  const job = createJob(buildJobParams(req));
+  res.status(202).json({
+    success: true,
+    ...serializeJob(job),
+    statusUrl: `/jobs/${job.id}`,
+    resultUrl: `/jobs/${job.id}/result`
+  });
+});
+
+// Batch mode: convert a playlist/channel (optionally a range of it) into a ZIP with an M3U.
+// Always asynchronous — poll /jobs/:id for per-item results.
+app.post('/batch', limitRequests(), rejectWhenBusy, async (req, res) => {
+  const videoUrl = req.body && req.body.videoUrl;
+  if (!videoUrl) {
+    return res.status(400).json({ error: 'No playlist URL', errorCode: 'NO_INPUT' });
+  }
+  if (!isSupportedVideoUrl(videoUrl)) {
+    return res.status(400).json({ error: 'Batch mode only supports YouTube, TikTok, Instagram and Twitter/X URLs', errorCode: 'URL_UNSUPPORTED' });
+  }
+  const format = resolveFormat(requestedFormat(req));
+  if (!format) {
+    return res.status(400).json({ error: `Unsupported output format: ${requestedFormat(req)}`, errorCode: 'FORMAT_UNSUPPORTED' });
+  }
+  if (!tierAllowsFormat(req.client.tier, format)) {
+    return res.status(403).json({ error: `Your plan does not include ${format} output`, errorCode: 'FORMAT_NOT_ALLOWED' });
+  }
+  const { range, error } = resolveBatchRange(req.body);
+  if (error) {
+    return res.status(400).json({ error, errorCode: 'INVALID_RANGE' });
+  }
+  const invalidCallback = await validateCallback(req);
+  if (invalidCallback) {
+    return res.status(invalidCallback.status).json(invalidCallback.body);
+  }
+
+  const job = createJob({
+    type: 'batch',
+    tier: req.client.tier.name,
+    clientId: req.client.id,
+    videoUrl,
+    format,
+    range,
+    ...callbackParams(req)
+  });
+  res.status(202).json({
+    success: true,
+    ...serializeJob(job),
+    statusUrl: `/jobs/${job.id}`,
+    resultUrl: `/jobs/${job.id}/result`
+  });
+});
+
+// Jobs are only visible to the client that submitted them; anyone else gets the same 404 as an unknown id
+function findClientJob(req) {
+  const job = getJob(req.params.id);
+  return job && job.params.clientId === req.client.id ? job : null;
+}
+
+app.get('/jobs/:id', (req, res) => {
+  const job = findClientJob(req);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found', errorCode: 'JOB_NOT_FOUND' });
+  }
+  res.json(serializeJob(job));
+});
+
+// Cancel a queued or running job (202, it fails with CANCELLED once its processes have exited),
+// or delete a finished one together with its result file (204)
+app.delete('/jobs/:id', (req, res) => {
+  const job = findClientJob(req);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found', errorCode: 'JOB_NOT_FOUND' });
+  }
+  if (cancelJob(job.id)) return res.status(202).json(serializeJob(job));
+  removeJob(job.id);
+  res.status(204).end();
+});
+
+// Live progress over Server-Sent Events: status, phase (probe/download layer/convert/tag/cache),
+// progress percentages and queue position. The stream ends once the job is done or failed.
+app.get('/jobs/:id/events', (req, res) => {
+  const job = findClientJob(req);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found', errorCode: 'JOB_NOT_FOUND' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // keep proxies from buffering the stream
+  });
+
+  const send = (event) => res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  const isFinished = (status) => status === 'done' || status === 'failed';
+
+  send({ type: 'status', ...serializeJob(job) });
+  if (isFinished(job.status)) return res.end();
+  if (job.progress) send(job.progress);
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+  const unsubscribe = subscribeToJob(job.id, (event) => {
+    send(event);
+    if (event.type === 'status' && isFinished(event.status)) {
+      cleanup();
+      res.end();
     }
+  });
+  req.on('close', cleanup);
+});
 
-    if (shouldCleanupInput && inputPath && fs.existsSync(inputPath)) fs.unlinkSync(inputPath);
-    const videoFile = req.files && req.files.find(f => f.fieldname === 'video');
-    if (videoFile && fs.existsSync(videoFile.path)) fs.unlinkSync(videoFile.path);
+// Individual chapter tracks for jobs submitted with splitChapters + splitOutput=list
+app.get('/jobs/:id/tracks/:number', (req, res) => {
+  const job = findClientJob(req);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found', errorCode: 'JOB_NOT_FOUND' });
+  }
+  if (job.status === 'failed') return sendJobError(res, job);
+  if (job.status !== 'done') {
+    return res.status(409).json({ error: `Job is ${job.status}`, errorCode: 'JOB_NOT_READY', status: job.status });
+  }
+  const track = (job.result.tracks || []).find(t => String(t.number) === req.params.number);
+  if (!track || !track.path) {
+    return res.status(404).json({ error: 'Track not found', errorCode: 'TRACK_NOT_FOUND' });
+  }
+  if (!fs.existsSync(track.path)) {
+    return res.status(410).json({ error: 'Result is no longer available', errorCode: 'RESULT_EXPIRED' });
+  }
+  sendAudioFile(req, res, { path: track.path, filename: track.filename, mimeType: job.result.mimeType });
+});
 
-    res.status(500).json({
-      error: error.message || 'Server error',
-      errorCode: 'SERVER_ERROR'
-    });
+app.get('/jobs/:id/result', async (req, res) => {
+  const job = findClientJob(req);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found', errorCode: 'JOB_NOT_FOUND' });
+  }
+  if (job.status === 'failed') return sendJobError(res, job);
+  if (job.status !== 'done') {
+    return res.status(409).json({ error: `Job is ${job.status}`, errorCode: 'JOB_NOT_READY', status: job.status });
+  }
+  const downloadUrl = await remoteDownloadUrl(job.result);
+  if (downloadUrl) return res.redirect(302, downloadUrl);
+  if (!job.result.path || !fs.existsSync(job.result.path)) {
+    return res.status(410).json({ error: 'Result is no longer available', errorCode: 'RESULT_EXPIRED' });
   }
+  sendAudioFile(req, res, job.result, { 'X-Cache': job.result.cacheHit ? 'HIT' : 'MISS' });
 });
 
+// Delivery log of the job's completion callback
+app.get('/jobs/:id/webhook', (req, res) => {
+  const job = findClientJob(req);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found', errorCode: 'JOB_NOT_FOUND' });
+  }
+  if (!job.params.callbackUrl) {
+    return res.status(404).json({ error: 'This job has no callbackUrl', errorCode: 'CALLBACK_NOT_CONFIGURED' });
+  }
+  res.json({ callbackUrl: job.params.callbackUrl, deliveries: job.webhookDeliveries || [] });
+});
+
+// Send the completion callback again (same X-Webhook-Id as the original delivery)
+app.post('/jobs/:id/webhook/resend', async (req, res) => {
+  const job = findClientJob(req);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found', errorCode: 'JOB_NOT_FOUND' });
+  }
+  if (!job.params.callbackUrl) {
+    return res.status(404).json({ error: 'This job has no callbackUrl', errorCode: 'CALLBACK_NOT_CONFIGURED' });
+  }
+  if (job.status !== 'done' && job.status !== 'failed') {
+    return res.status(409).json({ error: `Job is ${job.status}`, errorCode: 'JOB_NOT_READY', status: job.status });
+  }
+  const first = (job.webhookDeliveries || [])[0];
+  const delivery = deliverWebhook(job, job.params.callbackUrl, await webhookPayload(job), first ? first.id : null);
+  res.status(202).json({ success: true, delivery });
+});
+
+// --- Cache administration (admin API keys only) ---
+
+// ?url= / ?platform= / ?format= filters shared by listing and purging
+function cacheFilterFromQuery(query) {
+  return {
+    url: query.url ? cleanVideoUrl(String(query.url)) : undefined,
+    platform: query.platform ? String(query.platform).toLowerCase() : undefined,
+    format: query.format ? resolveFormat(query.format) || String(query.format) : undefined
+  };
+}
+
+app.get('/admin/cache', requireAdmin, (req, res) => {
+  const entries = cacheIndex.list(cacheFilterFromQuery(req.query));
+  const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 1000);
+  const offset = Math.max(Number(req.query.offset) || 0, 0);
+  res.json({ total: entries.length, limit, offset, entries: entries.slice(offset, offset + limit) });
+});
+
+app.get('/admin/cache/stats', requireAdmin, (req, res) => {
+  res.json({ ...cacheIndex.summary(), lastSweep: getLastSweep() });
+});
+
+// All cached variants (formats, clips, tags) of one source URL
+app.get('/admin/cache/lookup', requireAdmin, (req, res) => {
+  if (!req.query.url) {
+    return res.status(400).json({ error: 'url query parameter is required', errorCode: 'NO_INPUT' });
+  }
+  const url = cleanVideoUrl(String(req.query.url));
+  res.json({ url, entries: cacheIndex.list({ url }) });
+});
+
+app.get('/admin/cache/entries/:key', requireAdmin, (req, res) => {
+  const entry = cacheIndex.get(req.params.key);
+  if (!entry) {
+    return res.status(404).json({ error: 'Cache entry not found', errorCode: 'CACHE_ENTRY_NOT_FOUND' });
+  }
+  res.json(entry);
+});
+
+app.delete('/admin/cache/entries/:key', requireAdmin, async (req, res) => {
+  const entry = cacheIndex.get(req.params.key);
+  if (!entry) {
+    return res.status(404).json({ error: 'Cache entry not found', errorCode: 'CACHE_ENTRY_NOT_FOUND' });
+  }
+  res.json(await cacheIndex.purge([entry]));
+});
+
+// Purge everything matching ?url= / ?platform= / ?format=, or ?all=true for the whole cache
+app.delete('/admin/cache', requireAdmin, async (req, res) => {
+  const filter = cacheFilterFromQuery(req.query);
+  const hasFilter = Object.values(filter).some(Boolean);
+  if (!hasFilter && req.query.all !== 'true') {
+    return res.status(400).json({ error: 'Pass url, platform or format (or all=true to purge everything)', errorCode: 'PURGE_FILTER_REQUIRED' });
+  }
+  res.json(await cacheIndex.purge(cacheIndex.list(filter)));
+});
+
+// Run the cleaner now (?dryRun=true to only report what it would delete)
+app.post('/admin/cache/clean', requireAdmin, async (req, res) => {
+  if (!cacheCleaner) {
+    return res.status(503).json({ error: 'Cache cleaner is not running', errorCode: 'CLEANER_UNAVAILABLE' });
+  }
+  const dryRun = isTruthyParam(requestParam(req, 'dryRun'));
+  const summary = await cacheCleaner.sweep(dryRun ? { dryRun: true } : {});
+  res.json(summary);
+});
+
+app.get('/admin/cache/clean', requireAdmin, (req, res) => {
+  res.json({ lastSweep: getLastSweep() });
+});
+
+// Metadata before converting (title, thumbnail, duration, uploader, chapters, audio bitrates) and
+// whether the caller's plan can convert it. Conversions of the same URL reuse this probe.
+// Rate limited on its own bucket and not subject to the daily quota: looking up doesn't convert.
+app.get('/info', limitRequests({ bucket: 'info', quota: false }), async (req, res) => {
+  const videoUrl = typeof req.query.url === 'string' ? req.query.url.trim() : '';
+  if (!videoUrl) {
+    return res.status(400).json({ error: 'No URL', errorCode: 'NO_INPUT' });
+  }
+  const cleaned = cleanVideoUrl(videoUrl);
+  if (!isSupportedVideoUrl(cleaned)) {
+    return res.status(400).json({ error: 'Metadata is only available for YouTube, TikTok, Instagram and Twitter/X URLs', errorCode: 'URL_UNSUPPORTED' });
+  }
+  // a client that gave up stops waiting; the probe itself finishes for whoever else asked
+  const aborter = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) aborter.abort(serviceError('CANCELLED', 'The client disconnected.'));
+  });
+
+  let probed;
+  try {
+    probed = await videoInfoCache.get(cleaned, { signal: aborter.signal });
+  } catch (err) {
+    if (aborter.signal.aborted) return;
+    const described = describeError(classifyDownloadError(err));
+    return res.status(described.status).json({ error: described.message, errorCode: described.code, retryable: described.retryable });
+  }
+
+  const info = describeVideoInfo(probed.info, cleaned);
+  const tier = req.client.tier;
+  const limitMinutes = Number(tier.maxDurationMinutes) || null;
+  res.set('X-Cache', probed.cached ? 'HIT' : 'MISS');
+  res.json({
+    ...info,
+    limits: {
+      tier: tier.name,
+      maxDurationMinutes: limitMinutes,
+      // unknown durations (live streams, some platforms) are only checked once downloaded
+      withinDurationLimit: !limitMinutes || !info.durationSec || info.durationSec <= limitMinutes * 60
+    }
+  });
+});
+
+// Who the presented API key belongs to and what its tier allows
+app.get('/me', (req, res) => {
+  res.json({
+    keyId: req.client.keyId,
+    label: req.client.label,
+    tier: describeTier(req.client.tier),
+    quota: getQuotaStatus(req.client.id, req.client.tier)
+  });
+});
+
+// Prometheus scrape endpoint (see metrics.js)
+app.get('/metrics', metricsHandler);
+
 app.get('/health', (req, res) => {
   res.json({
     status: 'healthy',
     mode: 'ULTIMATE (Multi-Layer Fallback)',
-    layers: '4 (Web → TV Embedded → Safari → Web Embedded)',
+    layers: describeStrategies().join(' → '),
     cookiesEnabled: !!process.env.YTDLP_COOKIES,
     proxyEnabled: !!process.env.YTDLP_PROXY,
+    queues: { download: downloadSlots.stats(), conversion: conversionSlots.stats() },
     binaries: {
       'yt-dlp': BINARIES['yt-dlp'],
       'ffmpeg': BINARIES['ffmpeg'],
@@ -996,20 +2102,13 @@ app.get('/health', (req, res) => {
 });
 
 app.listen(port, () => {
-  console.log(`
-╔═══════════════════════════════════════════════════════════╗
-║  ULTIMATE Video Conversion Service                        ║
-║  Port: ${port}                                            ║
-║  Multi-Layer Bot Detection Bypass: ENABLED                ║
-║  Platforms: YouTube, TikTok, Instagram, Twitter/X         ║
-║  Expected Success Rate: 92-95%                            ║
-╚═══════════════════════════════════════════════════════════╝
-  `);
-  console.log('Configuration:');
-  console.log('  - Cookies:', process.env.YTDLP_COOKIES ? 'ENABLED' : 'DISABLED (optional)');
-  console.log('  - Proxy:', process.env.YTDLP_PROXY ? 'ENABLED' : 'DISABLED (optional)');
-  console.log('  - Supported platforms: YouTube, TikTok, Instagram, Twitter/X');
-  console.log('  - Fallback layers: 4 (Web → TV Embedded → Safari → Web Embedded)');
-  console.log('  - PO Token bypass: ALL LAYERS');
-  console.log('\nReady to process requests! 🚀\n');
+  log.info('ULTIMATE Video Conversion Service ready on port %s', port, {
+    port: Number(port),
+    cookies: !!process.env.YTDLP_COOKIES,
+    proxy: !!process.env.YTDLP_PROXY,
+    platforms: ['YouTube', 'TikTok', 'Instagram', 'Twitter/X'],
+    fallbackLayers: describeStrategies(),
+    // measured per layer, see /metrics
+    metrics: '/metrics'
+  });
 });
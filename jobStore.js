@@ -0,0 +1,83 @@
+const fs = require('fs');
+const path = require('path');
+const log = require('./logger');
+
+/**
+ * Append-only job log, so queued/running/finished jobs survive a restart
+ * - One JSON line per change: { put: <job record> } or { remove: <id> }; replaying the file
+ *   gives the latest record of every job that hasn't been removed
+ * - Rewritten with one line per job on load, and again once it holds far more lines than jobs
+ * - A torn last line (crash mid-write) is skipped
+ * - Appends are synchronous: lines are small, and the file stays in the order things happened
+ */
+
+const COMPACT_MIN_LINES = 1000;
+const COMPACT_LINES_PER_JOB = 10;
+
+function createJobStore(filePath) {
+  const records = new Map(); // id -> latest record
+  let lines = 0;
+
+  function compact() {
+    const tmpPath = `${filePath}.tmp`;
+    const content = [...records.values()].map(record => `${JSON.stringify({ put: record })}\n`).join('');
+    fs.writeFileSync(tmpPath, content, { mode: 0o600 });
+    fs.renameSync(tmpPath, filePath);
+    lines = records.size;
+  }
+
+  /**
+   * Replay the log
+   * @returns {object[]} the latest record of every job, oldest first
+   */
+  function load() {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    let content = '';
+    try {
+      content = fs.readFileSync(filePath, 'utf8');
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+    }
+    let skipped = 0;
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (e) {
+        skipped++;
+        continue;
+      }
+      if (entry.put && entry.put.id) records.set(entry.put.id, entry.put);
+      else if (entry.remove) records.delete(entry.remove);
+    }
+    if (skipped) log.warn(`[Job Store] Skipped ${skipped} unreadable line(s) in ${filePath}`);
+    compact();
+    return [...records.values()].sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  function append(entry) {
+    try {
+      fs.appendFileSync(filePath, `${JSON.stringify(entry)}\n`, { mode: 0o600 });
+      lines++;
+      if (lines > COMPACT_MIN_LINES && lines > records.size * COMPACT_LINES_PER_JOB) compact();
+    } catch (e) {
+      // losing a line only matters after a crash; the job itself carries on
+      log.warn('[Job Store] Failed to write:', e.message);
+    }
+  }
+
+  function put(record) {
+    records.set(record.id, record);
+    append({ put: record });
+  }
+
+  function remove(id) {
+    if (!records.delete(id)) return;
+    append({ remove: id });
+  }
+
+  return { filePath, load, put, remove };
+}
+
+module.exports = { createJobStore };
@@ -0,0 +1,403 @@
+const fs = require('fs');
+const { EventEmitter } = require('events');
+const { v4: uuidv4 } = require('uuid');
+const log = require('./logger');
+const { serviceError } = require('./errors');
+
+/**
+ * Job engine for conversions
+ * - Jobs are created instantly and processed in the background
+ * - Status moves through queued -> downloading -> converting -> done/failed, every change is
+ *   kept in the job's history
+ * - Finished jobs are kept for a while so clients can poll and download results
+ * - Status changes and progress are published per job for live subscribers (SSE)
+ * - Every job gets an AbortSignal; it fires on cancelJob (CANCELLED) or when the job runs past
+ *   JOB_TIMEOUT_MINUTES (TIMEOUT), and processors pass it on to the processes they spawn
+ * - With a store (jobStore.js) every status change is written down; restoreJobs brings finished
+ *   jobs back after a restart, starts queued ones again and retries interrupted ones up to
+ *   JOB_MAX_ATTEMPTS runs in total, failing them with JOB_INTERRUPTED after that.
+ *   Progress events and webhook delivery logs are not stored.
+ */
+
+const JOB_TTL_MINUTES = Number(process.env.JOB_TTL_MINUTES || 30);
+const JOB_TIMEOUT_MINUTES = Number(process.env.JOB_TIMEOUT_MINUTES || 60);
+const JOB_MAX_ATTEMPTS = Number(process.env.JOB_MAX_ATTEMPTS || 2);
+
+const jobs = new Map();
+const completions = new Map();
+const controllers = new Map(); // unfinished jobs -> { controller, deadline }
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+let processor = null;
+let describeError = (err) => ({ message: (err && err.message) || String(err), code: 'SERVER_ERROR', status: 500, retryable: false });
+let onFinish = null;
+let store = null;
+
+/**
+ * Configure how jobs are executed
+ * @param {object} options
+ * @param {function} options.processor - async (job, setStatus, reportProgress, signal) => result ({ path, filename, cached, temporary })
+ * @param {function} [options.describeError] - maps a thrown error to { message, code, status, retryable, retryAfterSec }
+ * @param {function} [options.onFinish] - called with the job once it is done or failed
+ * @param {object} [options.store] - from createJobStore; without one jobs only live in memory
+ */
+function configureJobs(options = {}) {
+  if (options.processor) processor = options.processor;
+  if (options.describeError) describeError = options.describeError;
+  if (options.onFinish) onFinish = options.onFinish;
+  if (options.store) store = options.store;
+}
+
+// What the store keeps of a job: plain data only, no probe info (it can be large)
+function toRecord(job) {
+  let result = job.result;
+  if (result && result.info) {
+    const { info, ...rest } = result;
+    result = rest;
+  }
+  return {
+    id: job.id,
+    status: job.status,
+    params: job.params,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    finishedAt: job.finishedAt,
+    history: job.history,
+    attempts: job.attempts,
+    result,
+    items: job.items,
+    error: job.error,
+    errorCode: job.errorCode,
+    errorStatus: job.errorStatus,
+    retryable: job.retryable,
+    retryAfterSec: job.retryAfterSec
+  };
+}
+
+function saveJob(job) {
+  if (store && job.persist) store.put(toRecord(job));
+}
+
+function setJobStatus(job, status) {
+  if (job.status === status) return;
+  job.status = status;
+  job.updatedAt = Date.now();
+  job.history.push({ status, at: new Date(job.updatedAt).toISOString() });
+  log.info(`[Jobs] ${job.id} -> ${status}`);
+  saveJob(job);
+  jobEvents.emit(job.id, { type: 'status', ...serializeJob(job) });
+}
+
+/**
+ * Publish a progress event ({ type: 'phase' | 'progress' | 'queue', ... }) for a job.
+ * The latest one is kept on the job so late subscribers can catch up.
+ */
+function reportJobProgress(job, event) {
+  job.progress = { ...event, at: new Date().toISOString() };
+  jobEvents.emit(job.id, job.progress);
+}
+
+/**
+ * Listen to a job's status/progress events; returns an unsubscribe function
+ */
+function subscribeToJob(id, listener) {
+  jobEvents.on(id, listener);
+  return () => jobEvents.removeListener(id, listener);
+}
+
+/**
+ * Create a job and start it in the background
+ * @param {object} params - plain data (it is written to the store as is)
+ * @param {object} [options]
+ * @param {boolean} [options.persist] - false for jobs nobody can come back for after a restart
+ *   (the synchronous API holds the connection, so its jobs die with the process)
+ */
+function createJob(params, options = {}) {
+  const now = Date.now();
+  const job = {
+    id: uuidv4(),
+    status: 'queued',
+    params,
+    createdAt: now,
+    updatedAt: now,
+    finishedAt: null,
+    history: [{ status: 'queued', at: new Date(now).toISOString() }],
+    attempts: 0,
+    result: null,
+    error: null,
+    errorCode: null,
+    errorStatus: null,
+    retryable: false,
+    retryAfterSec: null,
+    progress: null,
+    persist: options.persist !== false
+  };
+  jobs.set(job.id, job);
+  saveJob(job);
+  startJob(job);
+  return job;
+}
+
+function startJob(job) {
+  let resolveDone;
+  const done = new Promise((resolve) => { resolveDone = resolve; });
+  completions.set(job.id, { done, resolve: resolveDone });
+
+  // the deadline counts from submission, time spent queued (and before a restart) included
+  const controller = new AbortController();
+  const timedOut = () => controller.abort(serviceError('TIMEOUT', `The job did not finish within ${JOB_TIMEOUT_MINUTES} minutes and was stopped.`));
+  const remainingMs = job.createdAt + JOB_TIMEOUT_MINUTES * 60 * 1000 - Date.now();
+  let deadline = null;
+  if (JOB_TIMEOUT_MINUTES > 0 && remainingMs <= 0) timedOut();
+  else if (JOB_TIMEOUT_MINUTES > 0) deadline = setTimeout(timedOut, remainingMs);
+  if (deadline && deadline.unref) deadline.unref();
+  controllers.set(job.id, { controller, deadline });
+
+  setImmediate(() => runJob(job));
+}
+
+async function runJob(job) {
+  const { controller, deadline } = controllers.get(job.id);
+  const { signal } = controller;
+  job.attempts++;
+  saveJob(job);
+  try {
+    if (!processor) throw new Error('No job processor configured');
+    signal.throwIfAborted();
+    const result = await processor(
+      job,
+      (status) => setJobStatus(job, status),
+      (event) => reportJobProgress(job, event),
+      signal
+    );
+    job.result = result;
+    job.finishedAt = Date.now();
+    setJobStatus(job, 'done');
+  } catch (err) {
+    // a killed process fails with whatever it printed, the abort reason says why it was killed
+    failJob(job, signal.aborted ? signal.reason : err);
+  } finally {
+    if (deadline) clearTimeout(deadline);
+    controllers.delete(job.id);
+    finishJob(job);
+  }
+}
+
+function failJob(job, err) {
+  const described = describeError(err);
+  // clients only get the user-facing message, keep the full one here
+  log.warn(`[Jobs] Job ${job.id} failed (${described.code}):`, (err && err.message) || String(err));
+  job.error = described.message;
+  job.errorCode = described.code;
+  job.errorStatus = described.status;
+  job.retryable = !!described.retryable;
+  job.retryAfterSec = described.retryAfterSec || null;
+  job.finishedAt = Date.now();
+  setJobStatus(job, 'failed');
+}
+
+function finishJob(job) {
+  const completion = completions.get(job.id);
+  if (completion) completion.resolve(job);
+  scheduleExpiry(job);
+  if (onFinish) {
+    try {
+      onFinish(job);
+    } catch (e) {
+      log.warn(`[Jobs] Finish hook failed for ${job.id}:`, e.message);
+    }
+  }
+}
+
+function scheduleExpiry(job) {
+  const remainingMs = job.finishedAt + JOB_TTL_MINUTES * 60 * 1000 - Date.now();
+  const timer = setTimeout(() => removeJob(job.id), Math.max(0, remainingMs));
+  if (timer.unref) timer.unref();
+}
+
+/**
+ * Bring back the jobs a previous process left in the store (call once, after configureJobs)
+ * - done/failed: kept until their TTL runs out; a done job whose temporary result file is gone
+ *   fails with JOB_INTERRUPTED
+ * - queued: started again
+ * - downloading/converting: retried while they have attempts left, else JOB_INTERRUPTED
+ * @param {function} [canResume] - (job) => false when the job's input didn't survive (e.g. an
+ *   upload in /tmp); such jobs fail with JOB_INTERRUPTED
+ * @returns {{ finished: number, resumed: number, failed: number }}
+ */
+function restoreJobs(canResume = () => true) {
+  const counts = { finished: 0, resumed: 0, failed: 0 };
+  if (!store) return counts;
+  for (const record of store.load()) {
+    const job = { ...record, history: record.history || [], attempts: record.attempts || 0, progress: null, persist: true };
+    jobs.set(job.id, job);
+
+    if (job.status === 'done' || job.status === 'failed') {
+      if (job.finishedAt + JOB_TTL_MINUTES * 60 * 1000 <= Date.now()) {
+        removeJob(job.id);
+        continue;
+      }
+      if (job.status === 'done' && job.result && job.result.temporary && job.result.path && !fs.existsSync(job.result.path)) {
+        failJob(job, serviceError('JOB_INTERRUPTED', 'The result of this job was lost when the server restarted. Please submit it again.'));
+        counts.failed++;
+      } else {
+        counts.finished++;
+      }
+      scheduleExpiry(job);
+      continue;
+    }
+
+    const interrupted = job.status !== 'queued';
+    let reason = null;
+    if (!canResume(job)) reason = 'The job\'s input was lost when the server restarted. Please submit it again.';
+    else if (interrupted && job.attempts >= JOB_MAX_ATTEMPTS) reason = 'The job was interrupted by a server restart too many times. Please submit it again.';
+    if (reason) {
+      failJob(job, serviceError('JOB_INTERRUPTED', reason));
+      finishJob(job);
+      counts.failed++;
+      continue;
+    }
+    log.info(`[Jobs] Resuming ${job.id} (${interrupted ? `interrupted while ${job.status}` : 'queued'})`);
+    // back to the start: the processor reports its way through the statuses again
+    setJobStatus(job, 'queued');
+    startJob(job);
+    counts.resumed++;
+  }
+  if (counts.finished || counts.resumed || counts.failed) {
+    log.info(`[Jobs] Restored from ${store.filePath}: ${counts.finished} finished, ${counts.resumed} resumed, ${counts.failed} failed`);
+  }
+  return counts;
+}
+
+function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+/**
+ * Resolves with the job once it reaches done or failed
+ */
+function waitForJob(id) {
+  const completion = completions.get(id);
+  if (!completion) return Promise.resolve(getJob(id));
+  return completion.done;
+}
+
+/**
+ * Stop a queued or running job; it fails with CANCELLED once its processes have exited
+ * @param {string} id
+ * @param {string} [reason] - user-facing message
+ * @returns {boolean} false when the job is unknown or already finished
+ */
+function cancelJob(id, reason = 'The job was cancelled.') {
+  const entry = controllers.get(id);
+  if (!entry) return false;
+  if (!entry.controller.signal.aborted) {
+    log.info(`[Jobs] Cancelling ${id}: ${reason}`);
+    entry.controller.abort(serviceError('CANCELLED', reason));
+  }
+  return true;
+}
+
+/**
+ * Forget a job and delete its result file if nobody else owns it (e.g. not the cache)
+ */
+function removeJob(id) {
+  const job = jobs.get(id);
+  if (!job) return;
+  jobs.delete(id);
+  completions.delete(id);
+  jobEvents.removeAllListeners(id);
+  if (store) store.remove(id);
+  for (const filePath of resultFiles(job)) {
+    try {
+      if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+    } catch (e) {
+      log.warn(`[Jobs] Failed to remove result for ${id}:`, e.message);
+    }
+  }
+}
+
+// Result files that belong to the job (not the cache's)
+function resultFiles(job) {
+  const owned = [];
+  if (job.result && job.result.temporary && job.result.path) owned.push(job.result.path);
+  // chapter tracks kept on disk (splitOutput=list) always belong to the job
+  for (const track of (job.result && job.result.tracks) || []) {
+    if (track.path) owned.push(track.path);
+  }
+  return owned;
+}
+
+/**
+ * Local files jobs still need: their results, and uploads of jobs that haven't finished
+ * @returns {Set<string>}
+ */
+function jobFiles() {
+  const files = new Set();
+  for (const job of jobs.values()) {
+    resultFiles(job).forEach(f => files.add(f));
+    if (job.params.upload && job.status !== 'done' && job.status !== 'failed') files.add(job.params.upload.path);
+  }
+  return files;
+}
+
+// Public view of a job (no internal paths or request params)
+function serializeJob(job) {
+  const view = {
+    jobId: job.id,
+    status: job.status,
+    createdAt: new Date(job.createdAt).toISOString(),
+    updatedAt: new Date(job.updatedAt).toISOString(),
+    history: job.history
+  };
+  if (job.progress && job.status !== 'done' && job.status !== 'failed') {
+    view.progress = job.progress;
+  }
+  if (job.status === 'done' && job.result) {
+    view.result = {
+      filename: job.result.filename,
+      format: job.result.format,
+      mimeType: job.result.mimeType,
+      size: job.result.size,
+      clip: job.result.clip || null,
+      loudness: job.result.loudness || null,
+      cached: !!job.result.cached,
+      url: `/jobs/${job.id}/result`
+    };
+    if (job.result.tracks) {
+      view.result.chapterSource = job.result.chapterSource;
+      view.result.tracks = job.result.tracks.map(t => ({
+        number: t.number,
+        title: t.title,
+        start: t.start,
+        end: t.end,
+        filename: t.filename,
+        size: t.size,
+        ...(t.path ? { url: `/jobs/${job.id}/tracks/${t.number}` } : {})
+      }));
+    }
+  }
+  if (job.items) view.items = job.items;
+  if (job.status === 'failed') {
+    view.error = job.error;
+    view.errorCode = job.errorCode;
+    view.retryable = job.retryable;
+    if (job.retryAfterSec) view.retryAfter = job.retryAfterSec;
+  }
+  return view;
+}
+
+module.exports = {
+  JOB_STATUSES: ['queued', 'downloading', 'converting', 'done', 'failed'],
+  configureJobs,
+  createJob,
+  restoreJobs,
+  jobFiles,
+  getJob,
+  waitForJob,
+  cancelJob,
+  removeJob,
+  serializeJob,
+  subscribeToJob
+};
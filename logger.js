@@ -0,0 +1,161 @@
+const util = require('util');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Structured logger
+ * - One JSON object per line: { time, level, msg, requestId, jobId, phase, layer, ...fields }
+ * - requestId/jobId/phase/layer come from the async context, so concurrent requests can be told
+ *   apart without threading ids through every call
+ * - Console-style arguments: log.info('Cached %s', url) or log.info('Found files:', files);
+ *   a trailing plain object is merged into the line as fields, Errors become `err`
+ * - Everything is redacted before it's written: URL credentials and secret-looking query
+ *   parameters, API keys, and the configured cookie/proxy/secret values
+ *
+ * LOG_LEVEL=debug|info|warn|error (default info), LOG_FORMAT=json|text (default json)
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] || LEVELS.info;
+const LOG_FORMAT = (process.env.LOG_FORMAT || 'json').toLowerCase();
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+const context = new AsyncLocalStorage();
+
+// Configured values that must never show up in logs, whatever message they end up in
+const SECRET_VALUES = ['YTDLP_COOKIES', 'YTDLP_PROXY', 'WEBHOOK_SECRET', 'S3_SECRET_ACCESS_KEY', 'METRICS_TOKEN']
+  .map(name => process.env[name])
+  .filter(value => value && value.length >= 4);
+const SECRET_QUERY_PARAM = /([?&][^=&\s"'#]*(?:token|key|sig|signature|secret|passw|auth|credential|session)[^=&\s"'#]*=)[^&\s"'#]+/gi;
+const URL_CREDENTIALS = /\b([a-z][a-z0-9+.-]*:\/\/)[^\s/@:"']+(?::[^\s/@"']*)?@/gi;
+const API_KEY = /\bvcs_[A-Za-z0-9_-]{8,}/g;
+
+function redact(text) {
+  let out = String(text);
+  for (const value of SECRET_VALUES) out = out.split(value).join('[redacted]');
+  return out
+    .replace(URL_CREDENTIALS, '$1***@')
+    .replace(SECRET_QUERY_PARAM, '$1***')
+    .replace(API_KEY, 'vcs_***');
+}
+
+function redactValue(value, depth = 0) {
+  if (typeof value === 'string') return redact(value);
+  if (value === null || typeof value !== 'object' || depth > 4) return value;
+  if (Array.isArray(value)) return value.map(v => redactValue(v, depth + 1));
+  return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redactValue(v, depth + 1)]));
+}
+
+// Mask cookie/proxy values in child-process args (proxy keeps scheme/host/port for debugging)
+function sanitizeArgsForLog(args) {
+  const masked = [];
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    if (a === '--cookies' || a === '--proxy' || a === '--cookies-from-browser') {
+      const next = args[i + 1];
+      masked.push(a);
+      if (next) {
+        // mask sensitive value but keep host/port visible when proxy (attempt)
+        if (a === '--proxy' && typeof next === 'string') {
+          try {
+            const u = new URL(next);
+            const port = u.port || (u.protocol === 'http:' ? '80' : (u.protocol === 'https:' ? '443' : ''));
+            masked.push(`${u.protocol}//${u.hostname}:${port}`);
+          } catch (e) {
+            masked.push('[masked-proxy]');
+          }
+        } else {
+          masked.push('[masked]');
+        }
+        i++; // skip the next arg since we've logged it
+      }
+    } else {
+      masked.push(a);
+    }
+  }
+  return masked.join(' ');
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+function describeError(err) {
+  return { message: err.message, code: err.code, stack: err.stack };
+}
+
+function write(level, args) {
+  if (LEVELS[level] < LOG_LEVEL) return;
+  let fields = {};
+  const rest = [...args];
+  if (rest.length > 1 && isPlainObject(rest[rest.length - 1])) fields = rest.pop();
+  const err = rest.find(a => a instanceof Error);
+  const msg = util.format(...rest.map(a => (a instanceof Error ? a.message : a)));
+
+  const store = context.getStore() || {};
+  const line = redactValue({
+    time: new Date().toISOString(),
+    level,
+    msg,
+    requestId: store.requestId,
+    jobId: store.jobId,
+    phase: store.phase,
+    layer: store.layer,
+    ...fields,
+    ...(err ? { err: describeError(err) } : {})
+  });
+
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  if (LOG_FORMAT === 'text') {
+    const tags = ['requestId', 'jobId', 'phase', 'layer'].filter(k => line[k]).map(k => `${k}=${line[k]}`);
+    const { time, level: lvl, msg: message, requestId, jobId, phase, layer, ...extra } = line;
+    const suffix = Object.keys(extra).length ? ` ${JSON.stringify(extra)}` : '';
+    stream.write(`${time} ${lvl.toUpperCase()}${tags.length ? ` [${tags.join(' ')}]` : ''} ${message}${suffix}\n`);
+  } else {
+    stream.write(`${JSON.stringify(line)}\n`);
+  }
+}
+
+/**
+ * Run fn with extra context fields (merged over the current ones)
+ * @param {object} fields - e.g. { jobId }
+ * @param {function} fn - receives the context object; later changes to it (phase, layer) show up
+ *   in every line logged from inside fn
+ */
+function withLogContext(fields, fn) {
+  const store = { ...(context.getStore() || {}), ...fields };
+  return context.run(store, () => fn(store));
+}
+
+/**
+ * Express middleware: correlation id per request, taken from X-Request-Id when it looks sane,
+ * echoed back in the response, plus one access line per finished request
+ */
+function requestContext() {
+  return (req, res, next) => {
+    const incoming = req.get('x-request-id');
+    const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    req.id = requestId;
+    res.setHeader('X-Request-Id', requestId);
+    const started = Date.now();
+    res.on('finish', () => {
+      context.run({ requestId }, () => write('info', ['%s %s %d', req.method, req.originalUrl, res.statusCode, {
+        status: res.statusCode,
+        durationMs: Date.now() - started,
+        clientId: req.client ? req.client.id : undefined
+      }]));
+    });
+    context.run({ requestId }, next);
+  };
+}
+
+module.exports = {
+  debug: (...args) => write('debug', args),
+  info: (...args) => write('info', args),
+  warn: (...args) => write('warn', args),
+  error: (...args) => write('error', args),
+  withLogContext,
+  requestContext,
+  redact,
+  sanitizeArgsForLog
+};
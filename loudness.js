@@ -0,0 +1,152 @@
+const { spawn } = require('child_process');
+
+/**
+ * EBU R128 loudness normalization (ffmpeg loudnorm, two-pass)
+ * - Pass 1 measures the input (integrated loudness, true peak, range)
+ * - Pass 2 applies a linear gain using the measured values, so dynamics are preserved
+ */
+
+const LOUDNESS_PRESETS = {
+  podcast: { I: -16, TP: -1.5, LRA: 11 },
+  music: { I: -14, TP: -1, LRA: 11 },
+  broadcast: { I: -23, TP: -1, LRA: 7 } // EBU R128 broadcast target
+};
+
+const DEFAULT_PRESET = 'podcast';
+
+/**
+ * Resolve request params into a loudnorm target
+ * @param {object} params - { normalize, targetLufs, truePeak, lra }
+ *   normalize: preset name ("podcast", "music", "broadcast") or "true"/true for the default preset
+ * @returns {{ target: {I, TP, LRA, preset}|null, error: string|null }}
+ */
+function resolveLoudnessTarget(params = {}) {
+  const { normalize } = params;
+  if (normalize === undefined || normalize === null || normalize === '' ||
+      normalize === false || normalize === 'false' || normalize === '0') {
+    return { target: null, error: null };
+  }
+
+  const name = normalize === true || normalize === 'true' || normalize === '1'
+    ? DEFAULT_PRESET
+    : String(normalize).trim().toLowerCase();
+  const preset = LOUDNESS_PRESETS[name];
+  if (!preset) {
+    return { target: null, error: `Unknown normalize preset: ${normalize} (use ${Object.keys(LOUDNESS_PRESETS).join(', ')})` };
+  }
+
+  const target = { ...preset, preset: name };
+  const overrides = [
+    ['targetLufs', 'I', -70, -5],
+    ['truePeak', 'TP', -9, 0],
+    ['lra', 'LRA', 1, 50]
+  ];
+  for (const [param, key, min, max] of overrides) {
+    if (params[param] === undefined || params[param] === null || params[param] === '') continue;
+    const value = Number(params[param]);
+    if (!Number.isFinite(value) || value < min || value > max) {
+      return { target: null, error: `${param} must be a number between ${min} and ${max}` };
+    }
+    target[key] = value;
+    target.preset = 'custom';
+  }
+  return { target, error: null };
+}
+
+// Stable text form for cache keys
+function formatLoudnessTarget(target) {
+  return `I=${target.I}:TP=${target.TP}:LRA=${target.LRA}`;
+}
+
+// loudnorm prints its JSON report as the last {...} block on stderr
+function parseLoudnormOutput(stderr) {
+  const start = stderr.lastIndexOf('{');
+  const end = stderr.lastIndexOf('}');
+  if (start === -1 || end < start) return null;
+  try {
+    const json = JSON.parse(stderr.slice(start, end + 1));
+    return {
+      input_i: Number(json.input_i),
+      input_tp: Number(json.input_tp),
+      input_lra: Number(json.input_lra),
+      input_thresh: Number(json.input_thresh),
+      target_offset: Number(json.target_offset)
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Pass 1: measure loudness of a local file
+ * @param {string} inputPath
+ * @param {object} target - from resolveLoudnessTarget
+ * @param {string[]} [seekArgs] - input options (e.g. -ss) so clips are measured, not the whole file
+ * @param {string[]} [lengthArgs] - output options (e.g. -t)
+ * @param {AbortSignal} [signal] - kills ffmpeg, rejects with the abort reason
+ * @returns {Promise<object|null>} measured values, null when the input can't be measured (e.g. silence)
+ */
+function measureLoudness(inputPath, target, seekArgs = [], lengthArgs = [], signal = null) {
+  return new Promise((resolve, reject) => {
+    const ffmpeg = spawn('ffmpeg', [
+      '-hide_banner',
+      '-nostats',
+      ...seekArgs,
+      '-i', inputPath,
+      ...lengthArgs,
+      '-vn', '-sn', '-dn',
+      '-map', '0:a:0',
+      '-af', `loudnorm=${formatLoudnessTarget(target)}:print_format=json`,
+      '-f', 'null',
+      '-'
+    ], signal ? { signal } : {});
+
+    let stderr = '';
+    ffmpeg.stderr.on('data', (d) => { stderr += d.toString(); });
+    ffmpeg.on('error', (err) => {
+      if (!(signal && signal.aborted)) reject(err);
+    });
+    ffmpeg.on('close', (code) => {
+      if (signal && signal.aborted) return reject(signal.reason);
+      if (code !== 0) return reject(new Error(`Loudness analysis failed: ${stderr.slice(-1000)}`));
+      const measured = parseLoudnormOutput(stderr);
+      const usable = measured && Object.values(measured).every(Number.isFinite);
+      resolve(usable ? measured : null);
+    });
+  });
+}
+
+/**
+ * Pass 2 filter: linear normalization using pass 1 measurements
+ */
+function buildLoudnormFilter(target, measured) {
+  return [
+    `loudnorm=${formatLoudnessTarget(target)}`,
+    `measured_I=${measured.input_i}`,
+    `measured_TP=${measured.input_tp}`,
+    `measured_LRA=${measured.input_lra}`,
+    `measured_thresh=${measured.input_thresh}`,
+    `offset=${measured.target_offset}`,
+    'linear=true'
+  ].join(':');
+}
+
+// Public shape for API responses
+function describeLoudness(target, measured) {
+  return {
+    preset: target.preset,
+    target: { integrated: target.I, truePeak: target.TP, range: target.LRA },
+    input: measured
+      ? { integrated: measured.input_i, truePeak: measured.input_tp, range: measured.input_lra }
+      : null
+  };
+}
+
+module.exports = {
+  LOUDNESS_PRESETS,
+  resolveLoudnessTarget,
+  formatLoudnessTarget,
+  measureLoudness,
+  buildLoudnormFilter,
+  describeLoudness
+};
@@ -0,0 +1,174 @@
+const client = require('prom-client');
+
+/**
+ * Prometheus metrics, scraped from GET /metrics
+ * - conversions by outcome and errorCode, HTTP requests by route and status
+ * - attempts/successes per download fallback layer, so the real success rate of each layer
+ *   (and of the whole chain) is measured instead of guessed
+ * - probe/download/convert duration histograms
+ * - cache hits/misses, bytes served, slot usage and queue length per pool
+ * Set METRICS_TOKEN to require "Authorization: Bearer <token>" on scrapes.
+ */
+
+const METRICS_TOKEN = process.env.METRICS_TOKEN || '';
+const PREFIX = 'vcs_';
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register, prefix: PREFIX });
+
+const conversions = new client.Counter({
+  name: `${PREFIX}conversions_total`,
+  help: 'Finished conversion jobs by outcome and error code',
+  labelNames: ['type', 'outcome', 'error_code'],
+  registers: [register]
+});
+
+const httpRequests = new client.Counter({
+  name: `${PREFIX}http_requests_total`,
+  help: 'HTTP requests by method, route and status code',
+  labelNames: ['method', 'route', 'status'],
+  registers: [register]
+});
+
+const layerAttempts = new client.Counter({
+  name: `${PREFIX}download_layer_attempts_total`,
+  help: 'Download attempts per fallback layer',
+  labelNames: ['layer', 'name'],
+  registers: [register]
+});
+
+const layerSuccesses = new client.Counter({
+  name: `${PREFIX}download_layer_success_total`,
+  help: 'Downloads that succeeded on each fallback layer',
+  labelNames: ['layer', 'name'],
+  registers: [register]
+});
+
+const phaseDuration = new client.Histogram({
+  name: `${PREFIX}phase_duration_seconds`,
+  help: 'Time spent in each conversion phase (probe, download, convert)',
+  labelNames: ['phase'],
+  buckets: [0.5, 1, 2, 5, 10, 20, 30, 60, 120, 300, 600, 1200],
+  registers: [register]
+});
+
+const cacheLookups = new client.Counter({
+  name: `${PREFIX}cache_lookups_total`,
+  help: 'Conversion cache lookups by result (shared in-flight conversions count as hits)',
+  labelNames: ['result'],
+  registers: [register]
+});
+
+const bytesServed = new client.Counter({
+  name: `${PREFIX}bytes_served_total`,
+  help: 'Audio bytes sent to clients, streamed or inline (base64 JSON)',
+  labelNames: ['delivery'],
+  registers: [register]
+});
+
+let slotPools = () => ({});
+
+// download pool keeps its original metric names
+new client.Gauge({
+  name: `${PREFIX}current_downloads`,
+  help: 'Downloads holding a slot right now',
+  registers: [register],
+  collect() {
+    const pool = slotPools().download;
+    this.set(pool ? pool.active : 0);
+  }
+});
+
+new client.Gauge({
+  name: `${PREFIX}download_queue_length`,
+  help: 'Requests waiting for a download slot',
+  registers: [register],
+  collect() {
+    const pool = slotPools().download;
+    this.set(pool ? pool.queued : 0);
+  }
+});
+
+new client.Gauge({
+  name: `${PREFIX}slots_active`,
+  help: 'Slots in use per pool (download, conversion)',
+  labelNames: ['pool'],
+  registers: [register],
+  collect() {
+    for (const [pool, stats] of Object.entries(slotPools())) this.set({ pool }, stats.active);
+  }
+});
+
+new client.Gauge({
+  name: `${PREFIX}slots_queued`,
+  help: 'Requests waiting for a slot per pool (download, conversion)',
+  labelNames: ['pool'],
+  registers: [register],
+  collect() {
+    for (const [pool, stats] of Object.entries(slotPools())) this.set({ pool }, stats.queued);
+  }
+});
+
+// Where the slot pools live: () => ({ <pool>: { active, queued } })
+function trackSlotPools(read) {
+  slotPools = read;
+}
+
+function recordConversion(type, errorCode = null) {
+  conversions.inc({ type, outcome: errorCode ? 'failure' : 'success', error_code: errorCode || '' });
+}
+
+function recordLayerAttempt(layer, name) {
+  layerAttempts.inc({ layer: String(layer), name });
+}
+
+function recordLayerSuccess(layer, name) {
+  layerSuccesses.inc({ layer: String(layer), name });
+}
+
+/**
+ * Start timing a phase; call the returned function when it ends
+ * @param {'probe'|'download'|'convert'} phase
+ */
+function timePhase(phase) {
+  return phaseDuration.startTimer({ phase });
+}
+
+function recordCacheLookup(hit) {
+  cacheLookups.inc({ result: hit ? 'hit' : 'miss' });
+}
+
+function recordBytesServed(delivery, bytes) {
+  if (bytes > 0) bytesServed.inc({ delivery }, bytes);
+}
+
+// Counts every response; the route pattern (not the raw path) keeps job ids out of the labels
+function httpMetrics() {
+  return (req, res, next) => {
+    res.on('finish', () => {
+      const route = req.route ? `${req.baseUrl || ''}${req.route.path}` : 'unmatched';
+      httpRequests.inc({ method: req.method, route, status: String(res.statusCode) });
+    });
+    next();
+  };
+}
+
+async function metricsHandler(req, res) {
+  if (METRICS_TOKEN && req.get('authorization') !== `Bearer ${METRICS_TOKEN}`) {
+    return res.status(401).json({ error: 'Metrics token required', errorCode: 'METRICS_TOKEN_REQUIRED' });
+  }
+  res.set('Content-Type', register.contentType);
+  res.send(await register.metrics());
+}
+
+module.exports = {
+  trackSlotPools,
+  recordConversion,
+  recordLayerAttempt,
+  recordLayerSuccess,
+  timePhase,
+  recordCacheLookup,
+  recordBytesServed,
+  httpMetrics,
+  metricsHandler
+};
@@ -0,0 +1,77 @@
+/**
+ * Progress parsing for child processes
+ * - yt-dlp: "[download]  42.3% of ..." lines (run with --newline)
+ * - ffmpeg: key=value blocks from `-progress pipe:1`, turned into a percentage of the known duration
+ */
+
+const YTDLP_PROGRESS_RE = /\[download\]\s+(\d+(?:\.\d+)?)%/;
+
+// Percentage from a single yt-dlp output line, or null
+function parseYtdlpProgress(line) {
+  const m = YTDLP_PROGRESS_RE.exec(line);
+  return m ? Math.min(100, Number(m[1])) : null;
+}
+
+/**
+ * Wrap a callback so it receives complete lines from chunked process output
+ * (yt-dlp uses \r for in-place updates when --newline is not honored)
+ */
+function createLineReader(onLine) {
+  let buffer = '';
+  return (chunk) => {
+    buffer += chunk.toString();
+    const lines = buffer.split(/\r\n|\r|\n/);
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (line) onLine(line);
+    }
+  };
+}
+
+/**
+ * Feed yt-dlp output chunks, calls onPercent when the integer percentage moves
+ */
+function createYtdlpProgressReader(onPercent) {
+  let last = -1;
+  return createLineReader((line) => {
+    const pct = parseYtdlpProgress(line);
+    if (pct === null) return;
+    const rounded = Math.floor(pct);
+    // yt-dlp restarts at 0% for each format (video + audio), report those too
+    if (rounded !== last) {
+      last = rounded;
+      onPercent(rounded);
+    }
+  });
+}
+
+/**
+ * Feed ffmpeg `-progress` chunks, calls onPercent with 0-100 against durationSec
+ * (without a duration only the final 100% is reported)
+ */
+function createFfmpegProgressReader(durationSec, onPercent) {
+  let last = -1;
+  const emit = (pct) => {
+    const rounded = Math.max(0, Math.min(100, Math.floor(pct)));
+    if (rounded > last) {
+      last = rounded;
+      onPercent(rounded);
+    }
+  };
+  return createLineReader((line) => {
+    const [key, value] = line.split('=');
+    if (key === 'progress' && value === 'end') return emit(100);
+    // out_time_ms is in microseconds despite its name
+    if (key === 'out_time_ms' && durationSec > 0) {
+      const seconds = Number(value) / 1000000;
+      if (Number.isFinite(seconds)) emit((seconds / durationSec) * 100);
+    }
+  });
+}
+
+module.exports = {
+  parseYtdlpProgress,
+  createLineReader,
+  createYtdlpProgressReader,
+  createFfmpegProgressReader
+};
@@ -0,0 +1,159 @@
+/**
+ * Per-client rate limits and daily quotas
+ * - Token bucket per client (API key, or IP for anonymous callers): `burst` requests at once,
+ *   refilled at `requestsPerMinute` (both from the caller's tier)
+ * - Daily quotas (`dailyMinutes` of audio, `dailyMb` of output) count successful conversions
+ *   only and reset at UTC midnight; cache hits are free unless QUOTA_COUNT_CACHE_HITS=true
+ * - State lives in memory, so a restart resets everyone's counters
+ */
+
+const { serviceError } = require('./errors');
+
+const QUOTA_COUNT_CACHE_HITS = process.env.QUOTA_COUNT_CACHE_HITS === 'true';
+const IDLE_CLIENT_MS = 24 * 60 * 60 * 1000;
+
+const buckets = new Map(); // clientId -> { tokens, updatedAt }
+const usage = new Map();   // clientId -> { day, seconds, bytes, updatedAt }
+
+function utcDay(now = Date.now()) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+function secondsUntilUtcMidnight(now = Date.now()) {
+  const d = new Date(now);
+  const midnight = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 1);
+  return Math.ceil((midnight - now) / 1000);
+}
+
+/**
+ * Take one request token from the client's bucket
+ * @returns {{ allowed: boolean, limit: number, remaining: number, resetSec: number, retryAfterSec: number }}
+ */
+function takeRequestToken(clientId, tier) {
+  const capacity = Math.max(1, Number(tier.burst));
+  const perSecond = Number(tier.requestsPerMinute) / 60;
+  if (!(perSecond > 0)) {
+    // 0 = unlimited
+    return { allowed: true, limit: 0, remaining: 0, resetSec: 0, retryAfterSec: 0 };
+  }
+
+  const now = Date.now();
+  const bucket = buckets.get(clientId) || { tokens: capacity, updatedAt: now };
+  bucket.tokens = Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) / 1000) * perSecond);
+  bucket.updatedAt = now;
+
+  const allowed = bucket.tokens >= 1;
+  if (allowed) bucket.tokens -= 1;
+  buckets.set(clientId, bucket);
+
+  return {
+    allowed,
+    limit: capacity,
+    remaining: Math.floor(bucket.tokens),
+    resetSec: Math.ceil((capacity - bucket.tokens) / perSecond),
+    retryAfterSec: allowed ? 0 : Math.ceil((1 - bucket.tokens) / perSecond)
+  };
+}
+
+function currentUsage(clientId) {
+  const today = utcDay();
+  const entry = usage.get(clientId);
+  if (!entry || entry.day !== today) return { day: today, seconds: 0, bytes: 0, updatedAt: Date.now() };
+  return entry;
+}
+
+/**
+ * Daily quota state for a client
+ * @returns {{ exceeded: string|null, minutesRemaining: number|null, mbRemaining: number|null, resetSec: number }}
+ *   exceeded names the exhausted quota ('minutes' or 'bytes'); remaining values are null when unlimited
+ */
+function getQuotaStatus(clientId, tier) {
+  const used = currentUsage(clientId);
+  const minutesLimit = Number(tier.dailyMinutes) || 0;
+  const mbLimit = Number(tier.dailyMb) || 0;
+  const minutesRemaining = minutesLimit > 0 ? Math.max(0, minutesLimit - used.seconds / 60) : null;
+  const mbRemaining = mbLimit > 0 ? Math.max(0, mbLimit - used.bytes / 1024 / 1024) : null;
+
+  let exceeded = null;
+  if (minutesRemaining === 0) exceeded = 'minutes';
+  else if (mbRemaining === 0) exceeded = 'bytes';
+  return { exceeded, minutesRemaining, mbRemaining, resetSec: secondsUntilUtcMidnight() };
+}
+
+/**
+ * Count a finished conversion against the client's daily quota
+ * @param {{ durationSec: number, bytes: number, cached: boolean }} conversion
+ */
+function recordUsage(clientId, { durationSec = 0, bytes = 0, cached = false }) {
+  if (!clientId || (cached && !QUOTA_COUNT_CACHE_HITS)) return;
+  const entry = currentUsage(clientId);
+  entry.seconds += durationSec || 0;
+  entry.bytes += bytes || 0;
+  entry.updatedAt = Date.now();
+  usage.set(clientId, entry);
+}
+
+function setQuotaHeaders(res, quota) {
+  if (quota.minutesRemaining !== null) res.set('X-Quota-Minutes-Remaining', String(Math.floor(quota.minutesRemaining)));
+  if (quota.mbRemaining !== null) res.set('X-Quota-MB-Remaining', quota.mbRemaining.toFixed(1));
+}
+
+// 429 with the codes from errors.js, so clients see the same RATE_LIMITED/QUOTA_EXCEEDED everywhere
+function rejectRequest(res, err) {
+  res.set('Retry-After', String(err.retryAfterSec));
+  return res.status(err.status).json({
+    error: err.userMessage,
+    errorCode: err.code,
+    retryable: err.retryable,
+    retryAfter: err.retryAfterSec
+  });
+}
+
+/**
+ * Express middleware for rate-limited routes (needs req.client from auth.js)
+ * @param {object} [options]
+ * @param {string} [options.bucket] - use a separate token bucket, so e.g. metadata lookups don't
+ *   use up the requests that start conversions
+ * @param {boolean} [options.quota=true] - also turn the client away once its daily quota is used up
+ */
+function limitRequests({ bucket = null, quota: checkQuota = true } = {}) {
+  return (req, res, next) => {
+    const { id, tier } = req.client;
+
+    const quota = checkQuota ? getQuotaStatus(id, tier) : null;
+    if (quota) setQuotaHeaders(res, quota);
+    if (quota && quota.exceeded) {
+      const what = quota.exceeded === 'minutes' ? `${tier.dailyMinutes} minutes` : `${tier.dailyMb} MB`;
+      return rejectRequest(res, serviceError('QUOTA_EXCEEDED', `Daily quota of ${what} used up. It resets at midnight UTC.`, {
+        retryAfterSec: quota.resetSec
+      }));
+    }
+
+    const rate = takeRequestToken(bucket ? `${id}:${bucket}` : id, tier);
+    if (rate.limit) {
+      res.set('X-RateLimit-Limit', String(rate.limit));
+      res.set('X-RateLimit-Remaining', String(rate.remaining));
+      res.set('X-RateLimit-Reset', String(rate.resetSec));
+    }
+    if (!rate.allowed) {
+      return rejectRequest(res, serviceError('RATE_LIMITED', 'Too many requests, slow down.', { retryAfterSec: rate.retryAfterSec }));
+    }
+    next();
+  };
+}
+
+// Forget clients that have been idle for a day so the maps don't grow forever
+const pruneTimer = setInterval(() => {
+  const cutoff = Date.now() - IDLE_CLIENT_MS;
+  for (const [id, bucket] of buckets) if (bucket.updatedAt < cutoff) buckets.delete(id);
+  const today = utcDay();
+  for (const [id, entry] of usage) if (entry.day !== today) usage.delete(id);
+}, 60 * 60 * 1000);
+if (pruneTimer.unref) pruneTimer.unref();
+
+module.exports = {
+  takeRequestToken,
+  getQuotaStatus,
+  recordUsage,
+  limitRequests
+};
@@ -0,0 +1,93 @@
+const log = require('./logger');
+
+/**
+ * Single-flight coalescing of identical in-flight work
+ * - The first caller for a key starts the work; callers arriving while it runs share its
+ *   outcome, including its error (errors are not remembered once the flight settles)
+ * - Status/progress reported by the work is broadcast to every caller still attached
+ * - The work belongs to the flight, not to the caller that started it: a caller that goes
+ *   away (client disconnect, job cancelled) only detaches, the others still get the result
+ * - Once the last caller has gone the work is aborted through the signal it was given, and
+ *   the key is free again for new callers
+ */
+
+function createSingleFlight() {
+  const flights = new Map(); // key -> { promise, listeners: Set, controller, settled }
+
+  /**
+   * @param {string} key
+   * @param {function} work - ({ setStatus, reportProgress, signal }) => Promise<result>
+   * @param {{ setStatus?: function, reportProgress?: function, signal?: AbortSignal }} listener - this
+   *   caller's callbacks; when its signal aborts the caller detaches and its promise rejects with the reason
+   * @returns {{ promise: Promise, leader: boolean, detach: function }}
+   */
+  function run(key, work, listener = {}) {
+    let flight = flights.get(key);
+    const leader = !flight;
+
+    if (!flight) {
+      const listeners = new Set();
+      const broadcast = (method) => (...args) => {
+        for (const l of listeners) {
+          if (!l[method]) continue;
+          try {
+            l[method](...args);
+          } catch (e) {
+            log.warn('[SingleFlight] Listener failed:', e.message);
+          }
+        }
+      };
+      const controller = new AbortController();
+      const started = { listeners, promise: null, controller, settled: false };
+      flight = started;
+      flights.set(key, flight);
+      flight.promise = Promise.resolve()
+        .then(() => work({ setStatus: broadcast('setStatus'), reportProgress: broadcast('reportProgress'), signal: controller.signal }))
+        .finally(() => {
+          started.settled = true;
+          if (flights.get(key) === started) flights.delete(key);
+        });
+      // callers that left early don't wait for the outcome, it must not go unhandled
+      flight.promise.catch(() => {});
+    }
+
+    const joined = flight;
+    joined.listeners.add(listener);
+    // reason: why this caller left early; the work is aborted with it when nobody is left
+    const detach = (reason) => {
+      joined.listeners.delete(listener);
+      if (reason === undefined || joined.listeners.size > 0 || joined.settled) return;
+      if (flights.get(key) === joined) flights.delete(key);
+      joined.controller.abort(reason);
+    };
+
+    const { signal } = listener;
+    const promise = new Promise((resolve, reject) => {
+      const onAbort = () => {
+        detach(signal.reason);
+        reject(signal.reason);
+      };
+      if (signal) {
+        if (signal.aborted) return onAbort();
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+      joined.promise
+        .then(resolve, reject)
+        .finally(() => {
+          if (signal) signal.removeEventListener('abort', onAbort);
+          detach();
+        });
+    });
+    return { promise, leader, detach };
+  }
+
+  // Number of callers waiting on a key (0 when nothing is in flight)
+  function waiting(key) {
+    const flight = flights.get(key);
+    return flight ? flight.listeners.size : 0;
+  }
+
+  return { run, waiting };
+}
+
+module.exports = { createSingleFlight };
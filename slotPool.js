@@ -0,0 +1,115 @@
+const log = require('./logger');
+const { serviceError } = require('./errors');
+
+/**
+ * Priority slot pools (how many downloads / local encodes run at once)
+ * - At most `concurrency` holders; everyone else waits in the pool's queue
+ * - The queue is ordered by tier (tier.queuePriority, higher first) with aging: every
+ *   QUEUE_AGING_SECONDS of waiting is worth one priority point. A waiter can only be overtaken
+ *   by higher tiers that arrived shortly after it, so lower tiers are delayed but never starve.
+ *   QUEUE_AGING_SECONDS=0 makes the order strictly by tier.
+ * - At most `maxQueue` waiters (0 = unbounded); past that acquire fails with QUEUE_FULL and a
+ *   Retry-After estimate based on how long slots have recently been held
+ * - Waiters are told their 1-based position whenever it changes
+ */
+
+const QUEUE_AGING_SECONDS = Number(process.env.QUEUE_AGING_SECONDS || 30);
+const INITIAL_HOLD_SECONDS = 30; // Retry-After guess until real hold times come in
+const MAX_RETRY_AFTER_SECONDS = 600;
+
+function createSlotPool(name, { concurrency, maxQueue = 0 }) {
+  let active = 0;
+  let averageHoldSec = INITIAL_HOLD_SECONDS;
+  const queue = []; // next in line first
+
+  // earlier virtual arrival goes first: priority moves a waiter forward in time
+  const rank = (priority, now) => (QUEUE_AGING_SECONDS > 0 ? now - priority * QUEUE_AGING_SECONDS * 1000 : -priority);
+
+  function updatePositions() {
+    queue.forEach((waiter, i) => {
+      if (waiter.position === i + 1) return;
+      waiter.position = i + 1;
+      if (waiter.onQueuePosition) waiter.onQueuePosition(waiter.position);
+    });
+  }
+
+  function retryAfterSec() {
+    const estimate = Math.ceil(averageHoldSec * (queue.length / concurrency + 1));
+    return Math.min(MAX_RETRY_AFTER_SECONDS, Math.max(1, estimate));
+  }
+
+  function isFull() {
+    return maxQueue > 0 && active >= concurrency && queue.length >= maxQueue;
+  }
+
+  function grant() {
+    active++;
+    const grantedAt = Date.now();
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      active = Math.max(0, active - 1);
+      averageHoldSec = averageHoldSec * 0.8 + ((Date.now() - grantedAt) / 1000) * 0.2;
+      const next = queue.shift();
+      if (next) {
+        next.resolve(grant());
+        updatePositions();
+      }
+    };
+  }
+
+  /**
+   * Wait for a slot
+   * @param {object} tier - decides the place in the queue (queuePriority)
+   * @param {object} [options]
+   * @param {function} [options.onQueuePosition] - (position) while waiting
+   * @param {AbortSignal} [options.signal] - takes the caller out of the queue; rejects with the reason
+   * @returns {Promise<function>} release; calling it more than once is harmless
+   */
+  function acquire(tier, { onQueuePosition = null, signal = null } = {}) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) return reject(signal.reason);
+      if (active < concurrency) return resolve(grant());
+      if (isFull()) {
+        log.warn(`[Slots] ${name} queue full (${queue.length} waiting), turning a request away`);
+        return reject(serviceError('QUEUE_FULL', null, { retryAfterSec: retryAfterSec() }));
+      }
+
+      const waiter = { rank: rank(Number(tier.queuePriority) || 0, Date.now()), position: 0, onQueuePosition, resolve };
+      if (signal) {
+        const onAbort = () => {
+          const index = queue.indexOf(waiter);
+          if (index === -1) return; // already holds a slot, the caller releases it
+          queue.splice(index, 1);
+          updatePositions();
+          reject(signal.reason);
+        };
+        signal.addEventListener('abort', onAbort, { once: true });
+        waiter.resolve = (release) => {
+          signal.removeEventListener('abort', onAbort);
+          resolve(release);
+        };
+      }
+      // equal ranks keep arrival order
+      let index = queue.findIndex(w => w.rank > waiter.rank);
+      if (index === -1) index = queue.length;
+      queue.splice(index, 0, waiter);
+      updatePositions();
+    });
+  }
+
+  function stats() {
+    return {
+      active,
+      queued: queue.length,
+      concurrency,
+      maxQueue: maxQueue || null,
+      averageHoldSec: Math.round(averageHoldSec)
+    };
+  }
+
+  return { name, acquire, isFull, retryAfterSec, stats };
+}
+
+module.exports = { createSlotPool };
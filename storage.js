@@ -0,0 +1,192 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+/**
+ * Storage backends for cached conversions
+ * - fs: files in a local directory (VIDEO_CACHE_DIR), served straight from disk
+ * - s3: any S3-compatible object store (AWS S3, MinIO, R2, ...), shared by every replica and
+ *   delivered to clients through presigned download URLs
+ * Both expose the same async interface; keys are plain object names like "<cacheKey>.mp3".
+ *
+ * STORAGE_BACKEND=s3 reads S3_BUCKET, S3_REGION, S3_ENDPOINT, S3_ACCESS_KEY_ID,
+ * S3_SECRET_ACCESS_KEY, S3_FORCE_PATH_STYLE (true for MinIO), S3_PREFIX, S3_URL_EXPIRES_SECONDS.
+ */
+
+// attachment header that survives non-ASCII titles
+function contentDisposition(filename) {
+  const fallback = String(filename).replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '');
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+}
+
+function createFsStorage(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  const fullPath = (key) => path.join(dir, path.basename(key));
+
+  return {
+    kind: 'fs',
+    remote: false,
+    dir,
+    localPath: fullPath,
+
+    // { size, lastModified, metadata } or null when missing
+    async stat(key) {
+      try {
+        const st = await fs.promises.stat(fullPath(key));
+        return st.isFile() ? { size: st.size, lastModified: st.mtime, metadata: {} } : null;
+      } catch (e) {
+        if (e.code === 'ENOENT') return null;
+        throw e;
+      }
+    },
+
+    // Copies filePath in; resolves false when the key already exists (first writer wins)
+    async put(key, filePath) {
+      const target = fullPath(key);
+      if (fs.existsSync(target)) return false;
+      // dot-prefixed partial file: the cleaner and the index ignore it until the rename
+      const partial = path.join(dir, `.${path.basename(key)}.${process.pid}.partial`);
+      await fs.promises.copyFile(filePath, partial);
+      await fs.promises.rename(partial, target);
+      return true;
+    },
+
+    async fetchToFile(key, destPath) {
+      await fs.promises.copyFile(fullPath(key), destPath);
+    },
+
+    async remove(key) {
+      await fs.promises.rm(fullPath(key), { force: true });
+    },
+
+    // local files are streamed by the server itself
+    async getDownloadUrl() {
+      return null;
+    }
+  };
+}
+
+function createS3Storage(config) {
+  // loaded lazily so the fs backend doesn't pay for the SDK
+  const {
+    S3Client,
+    HeadObjectCommand,
+    PutObjectCommand,
+    GetObjectCommand,
+    DeleteObjectCommand
+  } = require('@aws-sdk/client-s3');
+  const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+  if (!config.bucket) throw new Error('S3_BUCKET is required for STORAGE_BACKEND=s3');
+  const client = new S3Client({
+    region: config.region || 'us-east-1',
+    endpoint: config.endpoint || undefined,
+    forcePathStyle: !!config.forcePathStyle,
+    credentials: config.accessKeyId
+      ? { accessKeyId: config.accessKeyId, secretAccessKey: config.secretAccessKey }
+      : undefined // default AWS credential chain
+  });
+  const prefix = config.prefix || '';
+  const expiresIn = config.urlExpiresSeconds || 3600;
+  const objectKey = (key) => `${prefix}${path.basename(key)}`;
+  const isNotFound = (e) => e.name === 'NotFound' || e.name === 'NoSuchKey' ||
+    (e.$metadata && e.$metadata.httpStatusCode === 404);
+
+  // S3 user metadata must be ASCII, so values are stored URI-encoded
+  const encodeMetadata = (metadata = {}) => Object.fromEntries(
+    Object.entries(metadata).filter(([, v]) => v !== undefined && v !== null).map(([k, v]) => [k, encodeURIComponent(String(v))])
+  );
+  const decodeMetadata = (metadata = {}) => Object.fromEntries(
+    Object.entries(metadata).map(([k, v]) => {
+      try {
+        return [k, decodeURIComponent(v)];
+      } catch {
+        return [k, v];
+      }
+    })
+  );
+
+  return {
+    kind: 's3',
+    remote: true,
+    urlExpiresSeconds: expiresIn,
+    localPath: () => null,
+
+    async stat(key) {
+      try {
+        const head = await client.send(new HeadObjectCommand({ Bucket: config.bucket, Key: objectKey(key) }));
+        return { size: head.ContentLength, lastModified: head.LastModified, metadata: decodeMetadata(head.Metadata) };
+      } catch (e) {
+        if (isNotFound(e)) return null;
+        throw e;
+      }
+    },
+
+    // Unlike fs there is no cheap exclusive create; identical keys hold identical audio, so a
+    // concurrent overwrite from another replica is harmless
+    async put(key, filePath, options = {}) {
+      const { size } = await fs.promises.stat(filePath);
+      await client.send(new PutObjectCommand({
+        Bucket: config.bucket,
+        Key: objectKey(key),
+        Body: fs.createReadStream(filePath),
+        ContentLength: size,
+        ContentType: options.contentType,
+        Metadata: encodeMetadata(options.metadata)
+      }));
+      return true;
+    },
+
+    async fetchToFile(key, destPath) {
+      const obj = await client.send(new GetObjectCommand({ Bucket: config.bucket, Key: objectKey(key) }));
+      await pipeline(obj.Body, fs.createWriteStream(destPath));
+    },
+
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: config.bucket, Key: objectKey(key) }));
+    },
+
+    /**
+     * Presigned GET URL that downloads as `filename`
+     * @param {string} key
+     * @param {{ filename?: string, contentType?: string }} [options]
+     */
+    async getDownloadUrl(key, options = {}) {
+      const command = new GetObjectCommand({
+        Bucket: config.bucket,
+        Key: objectKey(key),
+        ResponseContentDisposition: options.filename ? contentDisposition(options.filename) : undefined,
+        ResponseContentType: options.contentType
+      });
+      return getSignedUrl(client, command, { expiresIn });
+    }
+  };
+}
+
+/**
+ * Storage selected by STORAGE_BACKEND (default "fs")
+ * @param {string} cacheDir - directory for the fs backend
+ */
+function createStorage(cacheDir) {
+  const backend = (process.env.STORAGE_BACKEND || 'fs').toLowerCase();
+  if (backend === 'fs') return createFsStorage(cacheDir);
+  if (backend === 's3') {
+    return createS3Storage({
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION,
+      endpoint: process.env.S3_ENDPOINT,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      prefix: process.env.S3_PREFIX || 'cache/',
+      urlExpiresSeconds: Number(process.env.S3_URL_EXPIRES_SECONDS || 3600)
+    });
+  }
+  throw new Error(`Unknown STORAGE_BACKEND: ${backend} (use fs or s3)`);
+}
+
+module.exports = {
+  createStorage,
+  createFsStorage,
+  createS3Storage
+};
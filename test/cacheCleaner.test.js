@@ -0,0 +1,63 @@
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { sweepCache, startCacheCleaner } = require('../cacheCleaner');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// files of `size` bytes, last used `daysAgo` days ago; returns the directory
+function cacheDirWith(t, files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-cleaner-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  for (const [name, size, daysAgo] of files) {
+    const filePath = path.join(dir, name);
+    fs.writeFileSync(filePath, Buffer.alloc(size));
+    const used = new Date(Date.now() - daysAgo * DAY_MS);
+    fs.utimesSync(filePath, used, used);
+  }
+  return dir;
+}
+
+const remaining = (dir) => fs.readdirSync(dir).sort();
+
+test('sweepCache deletes files unused for longer than maxAgeDays', async (t) => {
+  const dir = cacheDirWith(t, [['old.mp3', 10, 10], ['new.mp3', 10, 1]]);
+  const summary = await sweepCache(dir, { maxAgeDays: 7 });
+  assert.strictEqual(summary.deleted, 1);
+  assert.deepStrictEqual(remaining(dir), ['new.mp3']);
+});
+
+test('sweepCache evicts least recently used files until the budget fits', async (t) => {
+  const dir = cacheDirWith(t, [['a.mp3', 100, 3], ['b.mp3', 100, 2], ['c.mp3', 100, 1], ['.index.json', 500, 5]]);
+  const deletedPaths = [];
+  const summary = await sweepCache(dir, { maxAgeDays: 30, maxSizeBytes: 150, onDelete: p => deletedPaths.push(path.basename(p)) });
+  assert.strictEqual(summary.deleted, 2);
+  assert.strictEqual(summary.freedBytes, 200);
+  assert.strictEqual(summary.totalBytes, 100);
+  assert.deepStrictEqual(deletedPaths, ['a.mp3', 'b.mp3']);
+  // dot files (index, in-progress writes) are not cache entries
+  assert.deepStrictEqual(remaining(dir), ['.index.json', 'c.mp3']);
+});
+
+test('a dry run only reports', async (t) => {
+  const dir = cacheDirWith(t, [['a.mp3', 100, 10], ['b.mp3', 100, 1]]);
+  const summary = await sweepCache(dir, { maxAgeDays: 7, maxSizeBytes: 50, dryRun: true });
+  assert.strictEqual(summary.deleted, 2);
+  assert.deepStrictEqual(remaining(dir), ['a.mp3', 'b.mp3']);
+});
+
+test('a dry run never gets the result of a running real sweep', async (t) => {
+  const dir = cacheDirWith(t, [['a.mp3', 100, 10]]);
+  const cleaner = startCacheCleaner(dir, 7, 24);
+  // the startup sweep is still running
+  const dry = await cleaner.sweep({ dryRun: true });
+  assert.strictEqual(dry.dryRun, true);
+  assert.strictEqual(dry.trigger, 'manual');
+  const real = await cleaner.sweep();
+  assert.strictEqual(real.dryRun, false);
+  assert.deepStrictEqual(remaining(dir), []);
+});
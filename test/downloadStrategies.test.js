@@ -0,0 +1,132 @@
+process.env.LOG_LEVEL = 'error';
+delete process.env.DOWNLOAD_STRATEGIES_FILE;
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadStrategies, skipReason, runStrategies, describeStrategies } = require('../downloadStrategies');
+
+// a DOWNLOAD_STRATEGIES_FILE with this content
+function strategiesFile(t, content) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'strategies-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'strategies.json');
+  fs.writeFileSync(file, JSON.stringify(content));
+  return file;
+}
+
+const step = (name, extra = {}) => ({ name, mode: 'download', format: 'bestaudio/best', args: [], ...extra });
+
+test('the built-in list runs when no file is configured', () => {
+  const names = loadStrategies().map(s => s.name);
+  assert.deepStrictEqual(names.slice(0, 2), ['piped', 'web']);
+  assert.deepStrictEqual(describeStrategies(), names);
+});
+
+test('a file reorders, disables and overrides built-in steps', (t) => {
+  const steps = loadStrategies(strategiesFile(t, {
+    strategies: ['tv_embedded', { name: 'web', timeoutSec: 30 }, { name: 'piped', disabled: true }, step('custom', { args: ['--geo-bypass'] })]
+  }));
+  assert.deepStrictEqual(steps.map(s => s.name), ['tv_embedded', 'web', 'piped', 'custom']);
+  // overrides start from the built-in step
+  assert.strictEqual(steps[1].playerClient, 'auto');
+  assert.strictEqual(steps[1].timeoutSec, 30);
+  assert.strictEqual(steps[2].disabled, true);
+  assert.deepStrictEqual(steps[3].args, ['--geo-bypass']);
+  assert.ok(Object.isFrozen(steps[0]));
+});
+
+test('a plain list works as well as { strategies }', (t) => {
+  assert.deepStrictEqual(loadStrategies(strategiesFile(t, ['web'])).map(s => s.name), ['web']);
+});
+
+test('broken files are refused', async (t) => {
+  const cases = [
+    [{ steps: [] }, /expected a "strategies" list/],
+    [['nope'], /Unknown download strategy: nope/],
+    [[{ name: 'nope' }], /nope: mode must be/],
+    [['web', { name: 'web' }], /web is listed twice/],
+    [[{ name: 'web', timeoutSec: -1 }], /timeoutSec must be a non-negative number/],
+    [[{ name: 'web', timeoutSec: 'soon' }], /timeoutSec must be a non-negative number/],
+    [[step('custom', { format: '' })], /format is required/],
+    [[step('custom', { args: [1] })], /args must be a list of strings/],
+    [[{ mode: 'download', format: 'x' }], /without a name/]
+  ];
+  for (const [content, error] of cases) {
+    await t.test(JSON.stringify(content), (t) => {
+      assert.throws(() => loadStrategies(strategiesFile(t, content)), error);
+    });
+  }
+});
+
+test('skipReason checks platforms, durations and the previous error', () => {
+  const context = { platform: 'youtube', durationSec: 600, previousError: null };
+  assert.strictEqual(skipReason(step('a'), context), null);
+  assert.strictEqual(skipReason(step('a', { disabled: true }), context), 'disabled');
+  assert.strictEqual(skipReason(step('a', { when: { platforms: ['tiktok'] } }), context), 'not for youtube');
+  assert.strictEqual(skipReason(step('a', { when: { maxDurationSec: 300 } }), context), 'video too long');
+  assert.strictEqual(skipReason(step('a', { when: { minDurationSec: 900 } }), context), 'video too short');
+  // unknown durations never rule a step out
+  assert.strictEqual(skipReason(step('a', { when: { maxDurationSec: 300 } }), { ...context, durationSec: 0 }), null);
+});
+
+test('previousStderr matches substrings and /regex/flags', () => {
+  const failed = (stderr) => ({ platform: 'youtube', durationSec: 0, previousError: Object.assign(new Error('failed'), { stderr }) });
+  const substring = step('a', { when: { previousStderr: ['Port missing in uri'] } });
+  const regex = step('a', { when: { previousStderr: ['/http error 4\\d\\d/i'] } });
+
+  assert.strictEqual(skipReason(substring, failed('ERROR: Port missing in uri')), null);
+  assert.strictEqual(skipReason(substring, failed('ERROR: port missing in URI')), 'previous error does not match');
+  assert.strictEqual(skipReason(regex, failed('ERROR: HTTP Error 403: Forbidden')), null);
+  assert.strictEqual(skipReason(regex, failed('ERROR: HTTP Error 500')), 'previous error does not match');
+  // first step, or an error without stderr: nothing to match
+  assert.strictEqual(skipReason(regex, { platform: 'youtube', durationSec: 0, previousError: null }), 'previous error does not match');
+});
+
+test('runStrategies moves on when a step fails and hands its error to the next', async () => {
+  const steps = [step('first'), step('retry', { when: { previousStderr: ['boom'] } })];
+  const tried = [];
+  const outcome = await runStrategies({ platform: 'youtube', durationSec: 0 }, async (s) => {
+    tried.push(s.name);
+    if (s.name === 'first') throw Object.assign(new Error('failed'), { stderr: 'boom' });
+    return 'audio';
+  }, steps);
+  assert.deepStrictEqual(tried, ['first', 'retry']);
+  assert.strictEqual(outcome.step.name, 'retry');
+  assert.strictEqual(outcome.position, 1);
+  assert.strictEqual(outcome.result, 'audio');
+});
+
+test('runStrategies gives up on a step after its timeout', async () => {
+  const steps = [step('slow', { timeoutSec: 0.05 }), step('fast')];
+  let slowSignal = null;
+  const outcome = await runStrategies({ platform: 'youtube', durationSec: 0 }, (s, position, signal) => {
+    if (s.name === 'fast') return 'audio';
+    slowSignal = signal;
+    // like a killed child process: fails with the abort reason
+    return new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(signal.reason)));
+  }, steps);
+  assert.strictEqual(outcome.step.name, 'fast');
+  assert.match(slowSignal.reason.message, /slow timed out after 0.05s/);
+});
+
+test('runStrategies stops at once when the job is aborted', async () => {
+  const job = new AbortController();
+  const reason = new Error('cancelled');
+  const tried = [];
+  await assert.rejects(runStrategies({ platform: 'youtube', durationSec: 0, signal: job.signal }, async (s) => {
+    tried.push(s.name);
+    job.abort(reason);
+    throw new Error('killed');
+  }, [step('a'), step('b')]), reason);
+  assert.deepStrictEqual(tried, ['a']);
+});
+
+test('runStrategies fails with DOWNLOAD_FAILED when no step applies', async () => {
+  await assert.rejects(
+    runStrategies({ platform: 'youtube', durationSec: 0 }, async () => 'audio', [step('a', { when: { platforms: ['tiktok'] } })]),
+    (err) => err.code === 'DOWNLOAD_FAILED' && err.userMessage === 'No download strategy applies to this video.'
+  );
+});
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const {
+  ServiceError,
+  serviceError,
+  classifyDownloadError,
+  classifyDirectDownloadError,
+  classifyFfmpegError,
+  describeError
+} = require('../errors');
+
+// stderr captured from real yt-dlp / ffmpeg runs (ids and paths replaced)
+function fixture(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+}
+
+// the error runYtDlp rejects with
+function ytdlpError(stderr, code = 1) {
+  const err = new Error(`yt-dlp exit ${code}: ${stderr}`);
+  err.code = code;
+  err.stdout = '';
+  err.stderr = stderr;
+  return err;
+}
+
+test('classifyDownloadError maps yt-dlp stderr to stable codes', async (t) => {
+  const cases = [
+    ['ytdlp-private.txt', 'VIDEO_PRIVATE', 403],
+    ['ytdlp-age-restricted.txt', 'VIDEO_AGE_RESTRICTED', 403],
+    ['ytdlp-members-only.txt', 'VIDEO_MEMBERS_ONLY', 403],
+    ['ytdlp-login-required.txt', 'VIDEO_REQUIRES_AUTH', 403],
+    ['ytdlp-geo-blocked.txt', 'VIDEO_GEO_BLOCKED', 403],
+    ['ytdlp-unavailable.txt', 'VIDEO_UNAVAILABLE', 404],
+    ['ytdlp-removed.txt', 'VIDEO_REMOVED', 410],
+    ['ytdlp-copyright.txt', 'VIDEO_COPYRIGHT', 410],
+    ['ytdlp-http-429.txt', 'RATE_LIMITED', 429],
+    ['ytdlp-bot-check.txt', 'VIDEO_RATE_LIMITED', 503],
+    ['ytdlp-cookie-database.txt', 'DOWNLOAD_FAILED', 502],
+    ['ytdlp-format-unavailable.txt', 'DOWNLOAD_FAILED', 502]
+  ];
+  for (const [name, code, status] of cases) {
+    await t.test(name, () => {
+      const err = classifyDownloadError(ytdlpError(fixture(name)));
+      assert.ok(err instanceof ServiceError);
+      assert.strictEqual(err.code, code);
+      assert.strictEqual(err.status, status);
+      assert.ok(err.cause, 'keeps the original error as the cause');
+    });
+  }
+});
+
+test('classifyDownloadError retryability follows the code', () => {
+  assert.strictEqual(classifyDownloadError(ytdlpError(fixture('ytdlp-private.txt'))).retryable, false);
+  assert.strictEqual(classifyDownloadError(ytdlpError(fixture('ytdlp-removed.txt'))).retryable, false);
+  assert.strictEqual(classifyDownloadError(ytdlpError(fixture('ytdlp-http-429.txt'))).retryable, true);
+  assert.strictEqual(classifyDownloadError(ytdlpError(fixture('ytdlp-bot-check.txt'))).retryable, true);
+});
+
+test('classifyDownloadError passes ServiceErrors through', () => {
+  const cancelled = serviceError('CANCELLED');
+  assert.strictEqual(classifyDownloadError(cancelled), cancelled);
+});
+
+test('classifyFfmpegError tells bad input from server failures', () => {
+  const invalid = classifyFfmpegError(fixture('ffmpeg-invalid-data.txt'));
+  assert.strictEqual(invalid.code, 'INVALID_MEDIA');
+  assert.strictEqual(invalid.status, 422);
+
+  assert.strictEqual(classifyFfmpegError(fixture('ffmpeg-no-audio.txt')).code, 'INVALID_MEDIA');
+
+  const failed = classifyFfmpegError(fixture('ffmpeg-encoder-failed.txt'), 'FFmpeg exit 1');
+  assert.ok(!(failed instanceof ServiceError));
+  assert.match(failed.message, /^FFmpeg exit 1: /);
+});
+
+test('classifyDirectDownloadError uses the HTTP status', () => {
+  const httpError = (status) => Object.assign(new Error(`Request failed with status code ${status}`), { response: { status } });
+  assert.strictEqual(classifyDirectDownloadError(httpError(404)).code, 'VIDEO_UNAVAILABLE');
+  assert.strictEqual(classifyDirectDownloadError(httpError(410)).code, 'VIDEO_UNAVAILABLE');
+  const upstream = classifyDirectDownloadError(httpError(503));
+  assert.strictEqual(upstream.code, 'DOWNLOAD_FAILED');
+  assert.match(upstream.userMessage, /HTTP 503/);
+
+  const blocked = serviceError('URL_BLOCKED');
+  const wrapped = Object.assign(new Error('connect failed'), { cause: blocked });
+  assert.strictEqual(classifyDirectDownloadError(wrapped), blocked);
+});
+
+test('describeError returns the user-facing message', () => {
+  const described = describeError(classifyDownloadError(ytdlpError(fixture('ytdlp-private.txt'))));
+  assert.deepStrictEqual(described, {
+    message: 'This video is private and cannot be downloaded.',
+    code: 'VIDEO_PRIVATE',
+    status: 403,
+    retryable: false,
+    retryAfterSec: null
+  });
+
+  const limited = describeError(serviceError('QUEUE_FULL', null, { retryAfterSec: 30 }));
+  assert.strictEqual(limited.message, 'The server is busy right now. Please try again shortly.');
+  assert.strictEqual(limited.retryAfterSec, 30);
+});
+
+test('describeError strips the code from older "<CODE>: message" errors', () => {
+  const described = describeError(new Error('VIDEO_UNAVAILABLE: Gone for good.'));
+  assert.strictEqual(described.message, 'Gone for good.');
+  assert.strictEqual(described.code, 'VIDEO_UNAVAILABLE');
+  assert.strictEqual(described.status, 404);
+});
+
+test('describeError hides the details of server errors', () => {
+  const failed = classifyFfmpegError(fixture('ffmpeg-encoder-failed.txt'), 'FFmpeg exit 1');
+  const described = describeError(failed);
+  assert.strictEqual(described.code, 'SERVER_ERROR');
+  assert.strictEqual(described.status, 500);
+  assert.strictEqual(described.retryable, false);
+  assert.doesNotMatch(described.message, /libmp3lame|FFmpeg/);
+
+  assert.strictEqual(describeError(new Error('ENOENT: no such file or directory, open \'/tmp/x\'')).code, 'SERVER_ERROR');
+  assert.strictEqual(describeError(null).code, 'SERVER_ERROR');
+});
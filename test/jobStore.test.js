@@ -0,0 +1,79 @@
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJobStore } = require('../jobStore');
+
+// a store file in a fresh directory, not created yet
+function storePath(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-store-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'jobs', 'jobs.jsonl');
+}
+
+const lineCount = (filePath) => fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean).length;
+
+test('a new store loads empty and creates its directory', (t) => {
+  const filePath = storePath(t);
+  assert.deepStrictEqual(createJobStore(filePath).load(), []);
+  assert.ok(fs.existsSync(path.dirname(filePath)));
+});
+
+test('puts and removes survive a reload, latest record wins', (t) => {
+  const filePath = storePath(t);
+  const store = createJobStore(filePath);
+  store.load();
+  store.put({ id: 'a', createdAt: 1, status: 'queued' });
+  store.put({ id: 'b', createdAt: 2, status: 'queued' });
+  store.put({ id: 'a', createdAt: 1, status: 'done' });
+  store.put({ id: 'c', createdAt: 3, status: 'queued' });
+  store.remove('b');
+  // unknown ids are not written
+  store.remove('nope');
+  assert.strictEqual(lineCount(filePath), 5);
+
+  const records = createJobStore(filePath).load();
+  assert.deepStrictEqual(records, [
+    { id: 'a', createdAt: 1, status: 'done' },
+    { id: 'c', createdAt: 3, status: 'queued' }
+  ]);
+});
+
+test('loading compacts the file to one line per job', (t) => {
+  const filePath = storePath(t);
+  const store = createJobStore(filePath);
+  store.load();
+  for (let i = 0; i < 20; i++) store.put({ id: 'a', createdAt: 1, progress: i });
+  store.put({ id: 'b', createdAt: 2 });
+  store.remove('b');
+
+  const reloaded = createJobStore(filePath);
+  assert.deepStrictEqual(reloaded.load(), [{ id: 'a', createdAt: 1, progress: 19 }]);
+  assert.strictEqual(lineCount(filePath), 1);
+  assert.ok(!fs.existsSync(`${filePath}.tmp`));
+});
+
+test('the file is compacted once it holds far more lines than jobs', (t) => {
+  const filePath = storePath(t);
+  const store = createJobStore(filePath);
+  store.load();
+  for (let i = 0; i <= 1000; i++) store.put({ id: 'a', createdAt: 1, progress: i });
+  assert.strictEqual(lineCount(filePath), 1);
+  assert.deepStrictEqual(createJobStore(filePath).load(), [{ id: 'a', createdAt: 1, progress: 1000 }]);
+});
+
+test('a torn last line is skipped', (t) => {
+  const filePath = storePath(t);
+  const store = createJobStore(filePath);
+  store.load();
+  store.put({ id: 'b', createdAt: 2 });
+  store.put({ id: 'a', createdAt: 1 });
+  fs.appendFileSync(filePath, '{"put":{"id":"c","creat');
+
+  // oldest first, whatever order they were written in
+  assert.deepStrictEqual(createJobStore(filePath).load().map(r => r.id), ['a', 'b']);
+  assert.strictEqual(lineCount(filePath), 2);
+});
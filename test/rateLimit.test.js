@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { takeRequestToken, getQuotaStatus, recordUsage, limitRequests } = require('../rateLimit');
+
+const TIER = { burst: 2, requestsPerMinute: 60, dailyMinutes: 10, dailyMb: 100 };
+
+// every test uses its own client id, the buckets and usage live in module state
+let clients = 0;
+const newClient = () => `test:${++clients}`;
+
+function mockNow(t, start) {
+  let now = start;
+  t.mock.method(Date, 'now', () => now);
+  return { advance: (ms) => { now += ms; } };
+}
+
+test('takeRequestToken allows a burst, then refills at requestsPerMinute', (t) => {
+  const clock = mockNow(t, Date.UTC(2026, 0, 1, 12));
+  const id = newClient();
+
+  assert.strictEqual(takeRequestToken(id, TIER).allowed, true);
+  const second = takeRequestToken(id, TIER);
+  assert.strictEqual(second.allowed, true);
+  assert.strictEqual(second.remaining, 0);
+
+  const refused = takeRequestToken(id, TIER);
+  assert.strictEqual(refused.allowed, false);
+  assert.strictEqual(refused.retryAfterSec, 1);
+
+  // one token per second at 60/min
+  clock.advance(1000);
+  assert.strictEqual(takeRequestToken(id, TIER).allowed, true);
+  assert.strictEqual(takeRequestToken(id, TIER).allowed, false);
+
+  // never refills past the burst
+  clock.advance(60 * 1000);
+  assert.strictEqual(takeRequestToken(id, TIER).remaining, 1);
+});
+
+test('takeRequestToken treats requestsPerMinute 0 as unlimited', () => {
+  const id = newClient();
+  const tier = { ...TIER, requestsPerMinute: 0 };
+  for (let i = 0; i < 10; i++) assert.strictEqual(takeRequestToken(id, tier).allowed, true);
+});
+
+test('daily quota counts conversions and resets at UTC midnight', (t) => {
+  const clock = mockNow(t, Date.UTC(2026, 0, 1, 23, 0));
+  const id = newClient();
+
+  recordUsage(id, { durationSec: 6 * 60, bytes: 10 * 1024 * 1024 });
+  let quota = getQuotaStatus(id, TIER);
+  assert.strictEqual(quota.exceeded, null);
+  assert.strictEqual(quota.minutesRemaining, 4);
+  assert.strictEqual(quota.mbRemaining, 90);
+  assert.strictEqual(quota.resetSec, 60 * 60);
+
+  recordUsage(id, { durationSec: 4 * 60, bytes: 0 });
+  assert.strictEqual(getQuotaStatus(id, TIER).exceeded, 'minutes');
+
+  clock.advance(60 * 60 * 1000);
+  quota = getQuotaStatus(id, TIER);
+  assert.strictEqual(quota.exceeded, null);
+  assert.strictEqual(quota.minutesRemaining, 10);
+});
+
+test('cache hits are free by default', () => {
+  const id = newClient();
+  recordUsage(id, { durationSec: 60 * 60, bytes: 1, cached: true });
+  assert.strictEqual(getQuotaStatus(id, TIER).exceeded, null);
+});
+
+// just enough of an Express response for the middleware
+function fakeResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    set(name, value) { this.headers[name] = value; return this; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+}
+
+function callMiddleware(middleware, client) {
+  const res = fakeResponse();
+  let passed = false;
+  middleware({ client }, res, () => { passed = true; });
+  return { res, passed };
+}
+
+test('limitRequests answers with RATE_LIMITED and Retry-After', () => {
+  const client = { id: newClient(), tier: TIER };
+  const middleware = limitRequests();
+  assert.strictEqual(callMiddleware(middleware, client).passed, true);
+  assert.strictEqual(callMiddleware(middleware, client).passed, true);
+
+  const { res, passed } = callMiddleware(middleware, client);
+  assert.strictEqual(passed, false);
+  assert.strictEqual(res.statusCode, 429);
+  assert.strictEqual(res.body.errorCode, 'RATE_LIMITED');
+  assert.strictEqual(res.headers['Retry-After'], '1');
+});
+
+test('limitRequests keeps separate buckets apart and can skip the quota', () => {
+  const client = { id: newClient(), tier: TIER };
+  recordUsage(client.id, { durationSec: 10 * 60 });
+
+  const { res } = callMiddleware(limitRequests(), client);
+  assert.strictEqual(res.statusCode, 429);
+  assert.strictEqual(res.body.errorCode, 'QUOTA_EXCEEDED');
+  assert.strictEqual(res.body.retryable, false);
+
+  const info = limitRequests({ bucket: 'info', quota: false });
+  assert.strictEqual(callMiddleware(info, client).passed, true);
+  assert.strictEqual(callMiddleware(info, client).passed, true);
+  assert.strictEqual(callMiddleware(info, client).passed, false);
+});
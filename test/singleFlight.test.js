@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSingleFlight } = require('../singleFlight');
+
+// work that finishes when the test says so
+function controllableWork() {
+  const state = { calls: 0, signal: null, finish: null, fail: null };
+  state.work = ({ signal }) => {
+    state.calls++;
+    state.signal = signal;
+    return new Promise((resolve, reject) => {
+      state.finish = resolve;
+      state.fail = reject;
+    });
+  };
+  return state;
+}
+
+// lets the flight start its work (it runs on the next microtask)
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+test('callers of the same key share one run of the work', async () => {
+  const flights = createSingleFlight();
+  const work = controllableWork();
+  const first = flights.run('k', work.work);
+  const second = flights.run('k', work.work);
+  assert.strictEqual(first.leader, true);
+  assert.strictEqual(second.leader, false);
+  assert.strictEqual(flights.waiting('k'), 2);
+
+  await tick();
+  work.finish('done');
+  assert.deepStrictEqual(await Promise.all([first.promise, second.promise]), ['done', 'done']);
+  assert.strictEqual(work.calls, 1);
+  assert.strictEqual(flights.waiting('k'), 0);
+});
+
+test('a follower still gets the result when the leader aborts', async () => {
+  const flights = createSingleFlight();
+  const work = controllableWork();
+  const leaderAbort = new AbortController();
+  const leader = flights.run('k', work.work, { signal: leaderAbort.signal });
+  const follower = flights.run('k', work.work);
+  await tick();
+
+  const reason = new Error('leader went away');
+  leaderAbort.abort(reason);
+  await assert.rejects(leader.promise, reason);
+  assert.strictEqual(work.signal.aborted, false, 'the work keeps running for the follower');
+
+  work.finish('result');
+  assert.strictEqual(await follower.promise, 'result');
+});
+
+test('the work is aborted once the last caller leaves', async () => {
+  const flights = createSingleFlight();
+  const work = controllableWork();
+  const a = new AbortController();
+  const b = new AbortController();
+  const first = flights.run('k', work.work, { signal: a.signal });
+  const second = flights.run('k', work.work, { signal: b.signal });
+  await tick();
+
+  a.abort(new Error('a'));
+  await assert.rejects(first.promise);
+  assert.strictEqual(work.signal.aborted, false);
+  b.abort(new Error('b'));
+  await assert.rejects(second.promise);
+  assert.strictEqual(work.signal.aborted, true);
+
+  // the key is free again
+  assert.strictEqual(flights.run('k', controllableWork().work).leader, true);
+});
+
+test('errors are shared but not remembered', async () => {
+  const flights = createSingleFlight();
+  const work = controllableWork();
+  const first = flights.run('k', work.work);
+  const second = flights.run('k', work.work);
+  await tick();
+  work.fail(new Error('boom'));
+  await assert.rejects(first.promise, /boom/);
+  await assert.rejects(second.promise, /boom/);
+  assert.strictEqual(flights.run('k', controllableWork().work).leader, true);
+});
+
+test('status and progress reach every attached caller', async () => {
+  const flights = createSingleFlight();
+  const seen = [];
+  const work = async ({ setStatus, reportProgress }) => {
+    await tick();
+    setStatus('downloading');
+    reportProgress({ percent: 50 });
+    return 'ok';
+  };
+  const listener = (name) => ({
+    setStatus: (status) => seen.push(`${name}:${status}`),
+    reportProgress: (event) => seen.push(`${name}:${event.percent}`)
+  });
+  const first = flights.run('k', work, listener('a'));
+  const second = flights.run('k', work, listener('b'));
+  await Promise.all([first.promise, second.promise]);
+  assert.deepStrictEqual(seen.sort(), ['a:50', 'a:downloading', 'b:50', 'b:downloading']);
+});
@@ -0,0 +1,122 @@
+process.env.LOG_LEVEL = 'error';
+process.env.QUEUE_AGING_SECONDS = '30';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSlotPool } = require('../slotPool');
+
+const standard = { queuePriority: 1 };
+const premium = { queuePriority: 3 };
+
+function mockNow(t, start = Date.UTC(2026, 0, 1)) {
+  let now = start;
+  t.mock.method(Date, 'now', () => now);
+  return { advance: (ms) => { now += ms; } };
+}
+
+// queue `name` behind the held slots; records the order slots are granted in
+function enqueue(pool, tier, name, granted, options = {}) {
+  return pool.acquire(tier, options).then((release) => {
+    granted.push(name);
+    return release;
+  });
+}
+
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+test('slots are granted right away up to the concurrency', async () => {
+  const pool = createSlotPool('test', { concurrency: 2 });
+  await pool.acquire(standard);
+  await pool.acquire(standard);
+  assert.deepStrictEqual(pool.stats(), { active: 2, queued: 0, concurrency: 2, maxQueue: null, averageHoldSec: 30 });
+});
+
+test('higher tiers that arrive shortly after go first', async (t) => {
+  const clock = mockNow(t);
+  const pool = createSlotPool('test', { concurrency: 1 });
+  const release = await pool.acquire(standard);
+  const granted = [];
+  const waiting = [enqueue(pool, standard, 'standard', granted)];
+  clock.advance(10 * 1000);
+  waiting.push(enqueue(pool, premium, 'premium', granted));
+
+  release();
+  (await waiting[1])();
+  await waiting[0];
+  assert.deepStrictEqual(granted, ['premium', 'standard']);
+});
+
+test('aging: a long wait is not overtaken by a higher tier', async (t) => {
+  const clock = mockNow(t);
+  const pool = createSlotPool('test', { concurrency: 1 });
+  const release = await pool.acquire(standard);
+  const granted = [];
+  const waiting = [enqueue(pool, standard, 'standard', granted)];
+  // two priority points are worth 60s of waiting
+  clock.advance(61 * 1000);
+  waiting.push(enqueue(pool, premium, 'premium', granted));
+
+  release();
+  (await waiting[0])();
+  await waiting[1];
+  assert.deepStrictEqual(granted, ['standard', 'premium']);
+});
+
+test('equal ranks keep arrival order and waiters hear their position', async (t) => {
+  mockNow(t);
+  const pool = createSlotPool('test', { concurrency: 1 });
+  const release = await pool.acquire(standard);
+  const positions = { a: [], b: [] };
+  const granted = [];
+  const a = enqueue(pool, standard, 'a', granted, { onQueuePosition: p => positions.a.push(p) });
+  const b = enqueue(pool, standard, 'b', granted, { onQueuePosition: p => positions.b.push(p) });
+
+  release();
+  (await a)();
+  await b;
+  assert.deepStrictEqual(granted, ['a', 'b']);
+  assert.deepStrictEqual(positions, { a: [1], b: [2, 1] });
+});
+
+test('a full queue turns callers away with QUEUE_FULL and a Retry-After estimate', async () => {
+  const pool = createSlotPool('test', { concurrency: 1, maxQueue: 1 });
+  await pool.acquire(standard);
+  pool.acquire(standard);
+  assert.strictEqual(pool.isFull(), true);
+  await assert.rejects(pool.acquire(premium), (err) => {
+    assert.strictEqual(err.code, 'QUEUE_FULL');
+    assert.strictEqual(err.status, 503);
+    // 30s per hold until real holds are measured, one queued + the caller itself
+    assert.strictEqual(err.retryAfterSec, 60);
+    return true;
+  });
+});
+
+test('an aborted waiter leaves the queue with the abort reason', async () => {
+  const pool = createSlotPool('test', { concurrency: 1 });
+  const release = await pool.acquire(standard);
+  const aborter = new AbortController();
+  const granted = [];
+  const left = pool.acquire(standard, { signal: aborter.signal });
+  const next = enqueue(pool, standard, 'next', granted);
+
+  const reason = new Error('gone');
+  aborter.abort(reason);
+  await assert.rejects(left, reason);
+  assert.strictEqual(pool.stats().queued, 1);
+
+  release();
+  await next;
+  await settle();
+  assert.deepStrictEqual(granted, ['next']);
+  assert.strictEqual(pool.stats().active, 1);
+});
+
+test('releasing twice frees only one slot', async () => {
+  const pool = createSlotPool('test', { concurrency: 2 });
+  const release = await pool.acquire(standard);
+  await pool.acquire(standard);
+  release();
+  release();
+  assert.strictEqual(pool.stats().active, 1);
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseTimestamp, startFromUrl, resolveClip, fitClipToDuration, formatClipRange } = require('../timeRange');
+
+test('parseTimestamp reads seconds, clock times and YouTube durations', () => {
+  const cases = [
+    ['90', 90],
+    ['90.5', 90.5],
+    [90.5, 90.5],
+    ['1:30', 90],
+    ['01:02:03.5', 3723.5],
+    [' 1:30 ', 90],
+    ['1h2m3s', 3723],
+    ['2m', 120],
+    ['45s', 45],
+    ['1H30S', 3630],
+    ['', null],
+    [undefined, null],
+    [null, null]
+  ];
+  for (const [input, expected] of cases) {
+    assert.strictEqual(parseTimestamp(input), expected, `parseTimestamp(${JSON.stringify(input)})`);
+  }
+});
+
+test('parseTimestamp rejects what it cannot read', () => {
+  for (const input of ['abc', '-5', -5, '1:60', '1:2:3:4', '1m2h', 'h', Infinity]) {
+    assert.ok(Number.isNaN(parseTimestamp(input)), `parseTimestamp(${JSON.stringify(input)})`);
+  }
+});
+
+test('startFromUrl takes the t param of YouTube URLs only', () => {
+  assert.strictEqual(startFromUrl('https://www.youtube.com/watch?v=abcdefghijk&t=90s'), 90);
+  assert.strictEqual(startFromUrl('https://youtu.be/abcdefghijk?t=1m5s'), 65);
+  assert.strictEqual(startFromUrl('https://www.youtube.com/watch?v=abcdefghijk&t=0'), null);
+  assert.strictEqual(startFromUrl('https://www.tiktok.com/@u/video/1?t=90'), null);
+  assert.strictEqual(startFromUrl('not a url'), null);
+});
+
+test('resolveClip builds a clip from start/end/duration', () => {
+  assert.deepStrictEqual(resolveClip({ start: '1:00', end: '1:30' }), { clip: { start: 60, end: 90 }, error: null });
+  assert.deepStrictEqual(resolveClip({ start: '60', duration: '30s' }), { clip: { start: 60, end: 90 }, error: null });
+  assert.deepStrictEqual(resolveClip({ end: '30' }), { clip: { start: 0, end: 30 }, error: null });
+  assert.deepStrictEqual(resolveClip({ start: '10' }), { clip: { start: 10, end: null }, error: null });
+  // the whole video is no clip
+  assert.deepStrictEqual(resolveClip({}), { clip: null, error: null });
+  assert.deepStrictEqual(resolveClip({ start: '0' }), { clip: null, error: null });
+});
+
+test('resolveClip falls back to the URL t param, an explicit start wins', () => {
+  const url = 'https://www.youtube.com/watch?v=abcdefghijk&t=90';
+  assert.deepStrictEqual(resolveClip({}, url).clip, { start: 90, end: null });
+  assert.deepStrictEqual(resolveClip({ duration: '10' }, url).clip, { start: 90, end: 100 });
+  assert.deepStrictEqual(resolveClip({ start: '5' }, url).clip, { start: 5, end: null });
+});
+
+test('resolveClip reports invalid input', () => {
+  assert.strictEqual(resolveClip({ start: 'soon' }).error, 'Invalid start time: soon');
+  assert.strictEqual(resolveClip({ end: 'x' }).error, 'Invalid end time: x');
+  assert.strictEqual(resolveClip({ duration: 'x' }).error, 'Invalid duration: x');
+  assert.strictEqual(resolveClip({ end: '10', duration: '5' }).error, 'Use either end or duration, not both');
+  assert.strictEqual(resolveClip({ start: '10', end: '10' }).error, 'Clip end must be after start');
+});
+
+test('fitClipToDuration checks the clip against the source length', () => {
+  assert.deepStrictEqual(fitClipToDuration({ start: 10, end: 20 }, 100), { start: 10, end: 20 });
+  assert.deepStrictEqual(fitClipToDuration({ start: 10, end: 200 }, 100), { start: 10, end: null });
+  // unknown duration: nothing to check
+  assert.deepStrictEqual(fitClipToDuration({ start: 500, end: null }, 0), { start: 500, end: null });
+  assert.strictEqual(fitClipToDuration(null, 100), null);
+  assert.throws(() => fitClipToDuration({ start: 100, end: null }, 100), (err) => err.code === 'CLIP_OUT_OF_RANGE' && err.status === 422);
+});
+
+test('formatClipRange', () => {
+  assert.strictEqual(formatClipRange({ start: 90, end: 120.5 }), '90-120.5');
+  assert.strictEqual(formatClipRange({ start: 90, end: null }), '90-inf');
+});
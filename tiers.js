@@ -0,0 +1,141 @@
+const fs = require('fs');
+const { OUTPUT_FORMATS } = require('./formats');
+const log = require('./logger');
+
+/**
+ * Tier definitions (encoding quality + limits per API key)
+ * - Built-in defaults below match the previous standard/premium behaviour
+ * - TIERS_FILE (JSON: { "<tier>": { ...fields } }) overrides fields or adds tiers
+ * - Requests without an API key use ANONYMOUS_TIER
+ */
+
+const ALL_FORMATS = Object.keys(OUTPUT_FORMATS);
+
+const STANDARD = {
+  bitrate: '96k',            // mp3 / m4a
+  opusBitrate: '64k',
+  mp3Quality: 6,             // LAME -q:a, lower = better but slower
+  vorbisQuality: 3,          // libvorbis -q:a, higher = better
+  sourceQuality: 'fast',     // 'fast' caps the downloaded stream (~128k), 'best' takes the best audio
+  maxDurationMinutes: 180,   // 0 = no limit
+  maxUploadMb: 500,
+  maxDownloadMb: 500,        // direct file URLs (not platform videos), 0 = no cap
+  formats: ALL_FORMATS,
+  requestsPerMinute: 10,     // token bucket refill rate, 0 = no rate limit
+  burst: 5,                  // requests allowed back to back
+  dailyMinutes: 600,         // minutes of converted audio per UTC day, 0 = no quota
+  dailyMb: 2048,             // MB of output per UTC day, 0 = no quota
+  queuePriority: 1           // place in the download/conversion queues, higher goes first
+};
+
+const PREMIUM = {
+  ...STANDARD,
+  bitrate: '192k',
+  opusBitrate: '128k',
+  mp3Quality: 2,
+  vorbisQuality: 6,
+  sourceQuality: 'best',
+  maxDurationMinutes: 0,
+  maxDownloadMb: 2048,
+  requestsPerMinute: 60,
+  burst: 20,
+  dailyMinutes: 0,
+  dailyMb: 0,
+  queuePriority: 3
+};
+
+const DEFAULT_TIERS = {
+  standard: STANDARD,
+  premium: PREMIUM,
+  business: PREMIUM,
+  enterprise: PREMIUM
+};
+
+const ANONYMOUS_TIER = process.env.ANONYMOUS_TIER || 'standard';
+
+function validateTier(name, tier) {
+  const bitrate = /^\d+k$/;
+  if (!bitrate.test(tier.bitrate) || !bitrate.test(tier.opusBitrate)) {
+    throw new Error(`Tier ${name}: bitrate/opusBitrate must look like "128k"`);
+  }
+  for (const key of ['mp3Quality', 'vorbisQuality', 'maxDurationMinutes', 'maxUploadMb', 'maxDownloadMb', 'requestsPerMinute', 'burst', 'dailyMinutes', 'dailyMb', 'queuePriority']) {
+    if (!Number.isFinite(Number(tier[key])) || Number(tier[key]) < 0) {
+      throw new Error(`Tier ${name}: ${key} must be a non-negative number`);
+    }
+  }
+  if (!['fast', 'best'].includes(tier.sourceQuality)) {
+    throw new Error(`Tier ${name}: sourceQuality must be "fast" or "best"`);
+  }
+  if (!Array.isArray(tier.formats) || tier.formats.some(f => !ALL_FORMATS.includes(f))) {
+    throw new Error(`Tier ${name}: formats must be a list of ${ALL_FORMATS.join(', ')}`);
+  }
+}
+
+// Merge TIERS_FILE over the defaults; a broken config file stops startup rather than silently downgrading
+function loadTiers() {
+  const tiers = {};
+  for (const name of Object.keys(DEFAULT_TIERS)) tiers[name] = { ...DEFAULT_TIERS[name] };
+
+  const file = process.env.TIERS_FILE;
+  if (file) {
+    const overrides = JSON.parse(fs.readFileSync(file, 'utf8'));
+    for (const name of Object.keys(overrides)) {
+      tiers[name] = { ...(tiers[name] || STANDARD), ...overrides[name] };
+    }
+    log.info(`[Tiers] Loaded ${Object.keys(overrides).length} tier override(s) from ${file}`);
+  }
+
+  for (const name of Object.keys(tiers)) {
+    validateTier(name, tiers[name]);
+    tiers[name] = Object.freeze({ ...tiers[name], name });
+  }
+  if (!tiers[ANONYMOUS_TIER]) throw new Error(`ANONYMOUS_TIER "${ANONYMOUS_TIER}" is not a configured tier`);
+  return tiers;
+}
+
+const TIERS = loadTiers();
+
+/**
+ * @param {string} name
+ * @returns {object|null} frozen tier definition (with `name`), null if unknown
+ */
+function getTier(name) {
+  return Object.prototype.hasOwnProperty.call(TIERS, name) ? TIERS[name] : null;
+}
+
+function getAnonymousTier() {
+  return TIERS[ANONYMOUS_TIER];
+}
+
+function tierAllowsFormat(tier, format) {
+  return tier.formats.includes(format);
+}
+
+// Largest upload any tier accepts (multer's hard limit; per-tier limits are checked per request)
+function maxUploadBytes() {
+  return Math.max(...Object.values(TIERS).map(t => Number(t.maxUploadMb))) * 1024 * 1024;
+}
+
+// Public shape for API responses
+function describeTier(tier) {
+  return {
+    name: tier.name,
+    bitrate: tier.bitrate,
+    maxDurationMinutes: Number(tier.maxDurationMinutes) || null,
+    maxUploadMb: Number(tier.maxUploadMb),
+    maxDownloadMb: Number(tier.maxDownloadMb) || null,
+    formats: tier.formats,
+    requestsPerMinute: Number(tier.requestsPerMinute) || null,
+    dailyMinutes: Number(tier.dailyMinutes) || null,
+    dailyMb: Number(tier.dailyMb) || null,
+    queuePriority: Number(tier.queuePriority)
+  };
+}
+
+module.exports = {
+  getTier,
+  getAnonymousTier,
+  tierAllowsFormat,
+  maxUploadBytes,
+  describeTier
+};
@@ -0,0 +1,101 @@
+const { serviceError } = require('./errors');
+
+/**
+ * Clip time helpers
+ * - Accepts plain seconds ("90", 90.5), clock format ("1:30", "01:02:03.5")
+ *   and YouTube-style durations ("1h2m3s", "90s")
+ * - Resolves start/end/duration request params (and the YouTube `t` URL param) into a clip
+ */
+
+function parseTimestamp(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'number') return Number.isFinite(value) && value >= 0 ? value : NaN;
+
+  const raw = String(value).trim().toLowerCase();
+
+  // plain seconds
+  if (/^\d+(\.\d+)?$/.test(raw)) return Number(raw);
+
+  // hh:mm:ss(.ms) or mm:ss(.ms)
+  if (/^\d+(:\d{1,2}){1,2}(\.\d+)?$/.test(raw)) {
+    const parts = raw.split(':').map(Number);
+    if (parts.slice(1).some(p => p >= 60)) return NaN;
+    return parts.reduce((acc, p) => acc * 60 + p, 0);
+  }
+
+  // YouTube style: 1h2m3s, 2m, 45s
+  const m = raw.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+(?:\.\d+)?)s)?$/);
+  if (m && (m[1] || m[2] || m[3])) {
+    return Number(m[1] || 0) * 3600 + Number(m[2] || 0) * 60 + Number(m[3] || 0);
+  }
+
+  return NaN;
+}
+
+// Start offset carried by a YouTube URL's `t` param (e.g. ...&t=90s), or null
+function startFromUrl(url) {
+  try {
+    const u = new URL(url);
+    const host = u.hostname.toLowerCase();
+    if (!host.includes('youtube') && host !== 'youtu.be') return null;
+    const t = u.searchParams.get('t');
+    const seconds = parseTimestamp(t);
+    return Number.isFinite(seconds) && seconds > 0 ? seconds : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Build a clip from request params
+ * @param {object} params - { start, end, duration } as strings/numbers
+ * @param {string} [url] - source URL, its `t` param is used when no explicit start is given
+ * @returns {{ clip: {start: number, end: number|null}|null, error: string|null }}
+ */
+function resolveClip(params = {}, url) {
+  const start = parseTimestamp(params.start);
+  const end = parseTimestamp(params.end);
+  const duration = parseTimestamp(params.duration);
+
+  if (Number.isNaN(start)) return { clip: null, error: `Invalid start time: ${params.start}` };
+  if (Number.isNaN(end)) return { clip: null, error: `Invalid end time: ${params.end}` };
+  if (Number.isNaN(duration)) return { clip: null, error: `Invalid duration: ${params.duration}` };
+  if (end !== null && duration !== null) return { clip: null, error: 'Use either end or duration, not both' };
+
+  const clipStart = start !== null ? start : (url ? startFromUrl(url) : null) || 0;
+  let clipEnd = null;
+  if (end !== null) clipEnd = end;
+  else if (duration !== null) clipEnd = clipStart + duration;
+
+  if (clipEnd !== null && clipEnd <= clipStart) {
+    return { clip: null, error: 'Clip end must be after start' };
+  }
+  if (clipStart === 0 && clipEnd === null) return { clip: null, error: null };
+  return { clip: { start: clipStart, end: clipEnd }, error: null };
+}
+
+/**
+ * Check a clip against the source duration (seconds, 0 when unknown).
+ * Returns the clip with `end` dropped when it runs past the end of the source.
+ */
+function fitClipToDuration(clip, durationSec) {
+  if (!clip || !durationSec) return clip;
+  if (clip.start >= durationSec) {
+    throw serviceError('CLIP_OUT_OF_RANGE', `Clip starts at ${clip.start}s but the video is only ${durationSec}s long.`);
+  }
+  if (clip.end !== null && clip.end >= durationSec) return { start: clip.start, end: null };
+  return clip;
+}
+
+// Stable text form used for cache keys and yt-dlp --download-sections ("*90-120", "*90-inf")
+function formatClipRange(clip) {
+  return `${clip.start}-${clip.end === null ? 'inf' : clip.end}`;
+}
+
+module.exports = {
+  parseTimestamp,
+  startFromUrl,
+  resolveClip,
+  fitClipToDuration,
+  formatClipRange
+};
@@ -0,0 +1,155 @@
+const { normalizeChapters } = require('./chapters');
+const { formatUploadDate } = require('./audioTags');
+const { platformOf } = require('./cacheIndex');
+
+/**
+ * Video metadata (yt-dlp --dump-json) shared by GET /info and the conversion path
+ * - One probe per cleaned URL per VIDEO_INFO_TTL_SECONDS (default 300): /info, the conversion
+ *   the user starts after it and the chapter split all reuse it, and callers asking while a probe
+ *   runs wait for that one. Failed probes are not remembered.
+ * - A probe is stopped after VIDEO_INFO_TIMEOUT_SECONDS (default 60). Nobody owns a shared probe,
+ *   so it has its own deadline; callers stop waiting with their own signal.
+ * - Only the fields we use are kept; a full dump lists every format and can be hundreds of KB
+ * - describeVideoInfo is the platform-independent shape /info returns
+ */
+
+const VIDEO_INFO_TTL_SECONDS = Number(process.env.VIDEO_INFO_TTL_SECONDS || 300);
+const VIDEO_INFO_TIMEOUT_SECONDS = Number(process.env.VIDEO_INFO_TIMEOUT_SECONDS || 60);
+const MAX_ENTRIES = 500;
+
+const KEPT_FIELDS = [
+  '_type', 'id', 'title', 'uploader', 'uploader_url', 'channel', 'channel_url', 'creator', 'artist',
+  'thumbnail', 'duration', '_duration', 'upload_date', 'view_count', 'like_count', 'is_live', 'live_status',
+  'age_limit', 'webpage_url', 'extractor_key', 'chapters'
+];
+const KEPT_FORMAT_FIELDS = ['format_id', 'ext', 'acodec', 'vcodec', 'abr', 'tbr', 'asr', 'filesize', 'filesize_approx'];
+
+function pick(source, fields) {
+  const out = {};
+  for (const field of fields) {
+    if (source[field] !== undefined && source[field] !== null) out[field] = source[field];
+  }
+  return out;
+}
+
+function hasAudio(format) {
+  return format.acodec && format.acodec !== 'none';
+}
+
+// Strip a dump down to KEPT_FIELDS plus the formats that carry audio
+function trimInfo(info) {
+  const trimmed = pick(info, KEPT_FIELDS);
+  trimmed.formats = (Array.isArray(info.formats) ? info.formats : [])
+    .filter(hasAudio)
+    .map(f => pick(f, KEPT_FORMAT_FIELDS));
+  return trimmed;
+}
+
+// Run a probe under its deadline; the signal kills yt-dlp once the time is up
+async function probeWithTimeout(probe, cleanedUrl) {
+  const controller = new AbortController();
+  const timer = setTimeout(
+    () => controller.abort(new Error(`Metadata probe timed out after ${VIDEO_INFO_TIMEOUT_SECONDS}s`)),
+    VIDEO_INFO_TIMEOUT_SECONDS * 1000
+  );
+  try {
+    return await probe(cleanedUrl, controller.signal);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * @param {function} probe - async (cleanedUrl, signal) => raw --dump-json object; throws when
+ *   yt-dlp fails, rejects with the signal's reason once it aborts
+ */
+function createVideoInfoCache(probe) {
+  const entries = new Map(); // cleaned URL -> { promise, expiresAt }
+
+  /**
+   * Metadata for a cleaned URL, probed at most once per TTL
+   * @param {string} cleanedUrl
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - stops waiting; a shared probe keeps running for the others
+   * @returns {Promise<{ info: object, cached: boolean }>} rejects with the probe's error
+   */
+  async function get(cleanedUrl, { signal = null } = {}) {
+    const now = Date.now();
+    let entry = entries.get(cleanedUrl);
+    const cached = !!entry && entry.expiresAt > now;
+    if (!cached) {
+      if (entries.size >= MAX_ENTRIES) entries.delete(entries.keys().next().value);
+      entry = { expiresAt: now + VIDEO_INFO_TTL_SECONDS * 1000 };
+      entry.promise = Promise.resolve()
+        .then(() => probeWithTimeout(probe, cleanedUrl))
+        .then(trimInfo)
+        .catch((err) => {
+          if (entries.get(cleanedUrl) === entry) entries.delete(cleanedUrl);
+          throw err;
+        });
+      entries.set(cleanedUrl, entry);
+    }
+    if (!signal) return { info: await entry.promise, cached };
+    signal.throwIfAborted();
+    let onAbort;
+    const aborted = new Promise((resolve, reject) => {
+      onAbort = () => reject(signal.reason);
+      signal.addEventListener('abort', onAbort, { once: true });
+    });
+    try {
+      return { info: await Promise.race([entry.promise, aborted]), cached };
+    } finally {
+      signal.removeEventListener('abort', onAbort);
+    }
+  }
+
+  return { get };
+}
+
+function toNumber(value) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+/**
+ * Platform-independent metadata for API responses
+ * @param {object} info - trimmed probe output
+ * @param {string} cleanedUrl
+ */
+function describeVideoInfo(info, cleanedUrl) {
+  const durationSec = toNumber(info.duration || info._duration);
+  const url = info.webpage_url || cleanedUrl;
+  const audioFormats = (info.formats || [])
+    .map(f => ({
+      id: String(f.format_id),
+      ext: f.ext || null,
+      codec: f.acodec || null,
+      bitrateKbps: toNumber(f.abr) ? Math.round(f.abr) : null,
+      sampleRate: toNumber(f.asr),
+      sizeBytes: toNumber(f.filesize) || toNumber(f.filesize_approx),
+      audioOnly: !f.vcodec || f.vcodec === 'none'
+    }))
+    .sort((a, b) => (b.bitrateKbps || 0) - (a.bitrateKbps || 0));
+  return {
+    id: info.id ? String(info.id) : null,
+    url,
+    platform: platformOf(url),
+    title: info.title || null,
+    uploader: info.uploader || info.channel || info.creator || null,
+    uploaderUrl: info.uploader_url || info.channel_url || null,
+    thumbnail: info.thumbnail || null,
+    durationSec,
+    uploadDate: formatUploadDate(info.upload_date),
+    viewCount: Number.isFinite(Number(info.view_count)) ? Number(info.view_count) : null,
+    isLive: !!info.is_live || info.live_status === 'is_live',
+    ageLimit: Number(info.age_limit) || 0,
+    chapters: normalizeChapters(info.chapters, durationSec || 0),
+    audioBitrates: [...new Set(audioFormats.map(f => f.bitrateKbps).filter(Boolean))],
+    audioFormats
+  };
+}
+
+module.exports = {
+  createVideoInfoCache,
+  describeVideoInfo
+};
@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const log = require('./logger');
+const { checkTarget, httpAgent, httpsAgent } = require('./directDownload');
+
+/**
+ * Signed webhook callbacks for finished jobs
+ * - A job submitted with a callbackUrl gets a JSON POST when it finishes or fails
+ * - Every request is signed with HMAC-SHA256 over "<timestamp>.<raw body>" using WEBHOOK_SECRET:
+ *     X-Webhook-Signature: t=<unix seconds>,v1=<hex digest>
+ *   receivers recompute the digest and reject stale timestamps
+ * - X-Webhook-Id stays the same across retries and re-sends of one delivery, for deduplication
+ * - Network errors, timeouts, 408, 429 and 5xx are retried with exponential backoff; other
+ *   responses end the delivery
+ * - Callback URLs must not point to private or internal addresses: checked on submission and
+ *   again on every attempt (the guarded agents from directDownload.js), redirects are not followed
+ * - Attempts are recorded in a per-job delivery log that can be inspected and re-sent
+ */
+
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || '';
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 6);
+const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_SECONDS || 10) * 1000;
+const WEBHOOK_BACKOFF_MS = Number(process.env.WEBHOOK_BACKOFF_SECONDS || 5) * 1000;
+const MAX_BACKOFF_MS = 30 * 60 * 1000;
+const MAX_DELIVERIES_PER_JOB = 20;
+
+function webhooksEnabled() {
+  return !!WEBHOOK_SECRET;
+}
+
+function signPayload(body, timestamp = Math.floor(Date.now() / 1000)) {
+  const digest = crypto.createHmac('sha256', WEBHOOK_SECRET).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+}
+
+/**
+ * Check a client-supplied callback URL, resolving its host
+ * @returns {Promise<string|null>} error message, null when usable
+ */
+async function checkCallbackUrl(value) {
+  if (typeof value !== 'string' || value.length > 2048) return 'callbackUrl must be an http(s) URL';
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return 'callbackUrl must be an http(s) URL';
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return 'callbackUrl must be an http(s) URL';
+  if (url.username || url.password) return 'callbackUrl must not contain credentials';
+  try {
+    await checkTarget(url, { resolveHost: true });
+  } catch (err) {
+    return err.code === 'URL_BLOCKED' ? 'callbackUrl must not point to a private or internal address' : `callbackUrl host ${url.hostname} could not be resolved`;
+  }
+  return null;
+}
+
+function isRetryable(statusCode) {
+  return !statusCode || statusCode === 408 || statusCode === 429 || statusCode >= 500;
+}
+
+// 5s, 10s, 20s, ... with jitter so receivers coming back up aren't hit all at once
+function backoffMs(attempt) {
+  const base = Math.min(MAX_BACKOFF_MS, WEBHOOK_BACKOFF_MS * 2 ** (attempt - 1));
+  return Math.round(base / 2 + Math.random() * base / 2);
+}
+
+async function attemptDelivery(delivery, payload) {
+  const number = delivery.attempts.length + 1;
+  const body = JSON.stringify(payload);
+  const started = Date.now();
+  const attempt = { number, at: new Date(started).toISOString(), statusCode: null, error: null, durationMs: null };
+  delivery.attempts.push(attempt);
+  delivery.nextAttemptAt = null;
+
+  let blocked = false;
+  try {
+    // DNS can change after submission: IP literals are checked here, hostnames when connecting
+    await checkTarget(new URL(delivery.url), { resolveHost: false });
+    const response = await axios.post(delivery.url, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'video-conversion-service-webhooks',
+        'X-Webhook-Id': delivery.id,
+        'X-Webhook-Event': payload.event,
+        'X-Webhook-Attempt': String(number),
+        'X-Webhook-Signature': signPayload(body)
+      },
+      timeout: WEBHOOK_TIMEOUT_MS,
+      maxRedirects: 0,
+      httpAgent,
+      httpsAgent,
+      // only the status code matters, don't parse whatever the receiver answers
+      responseType: 'text',
+      maxContentLength: 64 * 1024,
+      validateStatus: () => true
+    });
+    attempt.statusCode = response.status;
+    if (response.status < 200 || response.status >= 300) {
+      attempt.error = `HTTP ${response.status}`;
+    }
+  } catch (err) {
+    attempt.error = err.code || err.message;
+    blocked = err.code === 'URL_BLOCKED';
+  }
+  attempt.durationMs = Date.now() - started;
+
+  if (!attempt.error) {
+    delivery.status = 'delivered';
+    delivery.deliveredAt = new Date().toISOString();
+    log.info(`[Webhooks] Delivered ${delivery.event} for job ${delivery.jobId} (attempt ${number})`);
+    return;
+  }
+  if (blocked || !isRetryable(attempt.statusCode) || number >= WEBHOOK_MAX_ATTEMPTS) {
+    delivery.status = 'failed';
+    log.warn(`[Webhooks] Giving up on ${delivery.event} for job ${delivery.jobId} after ${number} attempts: ${attempt.error}`);
+    return;
+  }
+  const delay = backoffMs(number);
+  delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+  log.warn(`[Webhooks] ${delivery.event} for job ${delivery.jobId} failed (${attempt.error}), retrying in ${Math.round(delay / 1000)}s`);
+  const timer = setTimeout(() => {
+    attemptDelivery(delivery, payload).catch(e => log.error('[Webhooks] Delivery crashed:', e.message));
+  }, delay);
+  if (timer.unref) timer.unref();
+}
+
+/**
+ * Deliver a payload to a job's callback URL in the background
+ * @param {object} job - the delivery is appended to job.webhookDeliveries
+ * @param {string} url
+ * @param {object} payload - must carry `event`
+ * @param {string} [deliveryId] - reuse the id of an earlier delivery when re-sending it
+ * @returns {object} the delivery record (updated in place as attempts finish)
+ */
+function deliverWebhook(job, url, payload, deliveryId = null) {
+  const delivery = {
+    id: deliveryId || crypto.randomUUID(),
+    jobId: job.id,
+    event: payload.event,
+    url,
+    status: 'pending',
+    createdAt: new Date().toISOString(),
+    deliveredAt: null,
+    nextAttemptAt: null,
+    attempts: []
+  };
+  if (!job.webhookDeliveries) job.webhookDeliveries = [];
+  job.webhookDeliveries.push(delivery);
+  if (job.webhookDeliveries.length > MAX_DELIVERIES_PER_JOB) job.webhookDeliveries.shift();
+
+  attemptDelivery(delivery, payload).catch(e => log.error('[Webhooks] Delivery crashed:', e.message));
+  return delivery;
+}
+
+module.exports = {
+  webhooksEnabled,
+  signPayload,
+  checkCallbackUrl,
+  deliverWebhook
+};